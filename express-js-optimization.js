@@ -4,8 +4,136 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const helmet = require('helmet');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const fs = require('fs');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { AsyncLocalStorage } = require('async_hooks');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const promClient = require('prom-client');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const JWTSecurityScanner = require('./jwt-security-scanner');
 
 // 1. Advanced Middleware Composition
+// Request context: one store per request, visible to everything that runs on its behalf
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Returns the context of the current request, or undefined outside a request
+ * @returns {{requestId: string, traceId: string, spanId: string, traceFlags: string, route?: string, req: express.Request}}
+ */
+const getRequestContext = () => requestContext.getStore();
+
+const LOG_LEVELS = { debug: 20, info: 30, warn: 40, error: 50 };
+const DEFAULT_REDACT_KEYS = ['authorization', 'cookie', 'set-cookie', 'password', 'token', 'secret', 'apikey', 'x-api-key'];
+const REDACTED = '[REDACTED]';
+
+// Deep copy for logging: sensitive keys are masked, errors keep name, message and stack
+const redactFields = (value, redactKeys, seen = new WeakSet()) => {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined && { code: value.code }),
+      ...(value.status !== undefined && { status: value.status }),
+      stack: value.stack
+    };
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redactFields(item, redactKeys, seen));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    redactKeys.has(key.toLowerCase()) ? REDACTED : redactFields(item, redactKeys, seen)
+  ]));
+};
+
+/**
+ * Creates a structured JSON logger
+ * Each line carries the request id, trace id, route and user of the current request.
+ * @param {Object} [options]
+ * @param {string} [options.level] - Minimum level, defaults to LOG_LEVEL or 'info'
+ * @param {string[]} [options.redact] - Extra field names to mask (case-insensitive)
+ * @param {Object} [options.stream=process.stdout] - Anything with write(string)
+ * @param {Object} [options.bindings] - Fields added to every line
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ */
+const createLogger = (options = {}) => {
+  const {
+    level = process.env.LOG_LEVEL || 'info',
+    redact = [],
+    stream = process.stdout,
+    bindings = {}
+  } = options;
+  const minimum = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+  const redactKeys = new Set([...DEFAULT_REDACT_KEYS, ...redact].map(key => key.toLowerCase()));
+
+  const write = (levelName, message, fields = {}) => {
+    if (LOG_LEVELS[levelName] < minimum) return;
+    const context = getRequestContext();
+    const user = context?.req.user;
+
+    const entry = redactFields({
+      time: new Date().toISOString(),
+      level: levelName,
+      msg: message,
+      ...bindings,
+      ...(context && {
+        requestId: context.requestId,
+        traceId: context.traceId,
+        route: context.route,
+        userId: user ? (user.id ?? user.sub) : undefined
+      }),
+      ...fields
+    }, redactKeys);
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    ...Object.fromEntries(Object.keys(LOG_LEVELS).map(name => [name, (message, fields) => write(name, message, fields)])),
+    child: (childBindings) => createLogger({ ...options, bindings: { ...bindings, ...childBindings } })
+  };
+};
+
+const logger = createLogger();
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// W3C Trace Context: version-traceid-parentid-flags
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Request context middleware
+ * Accepts or assigns X-Request-Id, continues the caller's traceparent (or starts a
+ * new trace) with a fresh span id, echoes both on the response and runs the rest of
+ * the stack inside the request's AsyncLocalStorage context.
+ */
+const requestContextMiddleware = (req, res, next) => {
+  const incomingId = req.get('x-request-id');
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+
+  const parent = TRACEPARENT_PATTERN.exec(req.get('traceparent') || '');
+  const traceId = parent && !/^0+$/.test(parent[1]) ? parent[1] : crypto.randomBytes(16).toString('hex');
+  const traceFlags = parent ? parent[3] : '01';
+  const spanId = crypto.randomBytes(8).toString('hex');
+
+  res.set('X-Request-Id', requestId);
+  res.set('traceparent', `00-${traceId}-${spanId}-${traceFlags}`);
+  req.id = requestId;
+
+  requestContext.run({
+    requestId,
+    traceId,
+    spanId,
+    traceFlags,
+    parentSpanId: parent ? parent[2] : undefined,
+    req
+  }, next);
+};
+
 /**
  * Middleware for user validation
  * Ensures authenticated users can access protected routes
@@ -13,225 +141,2651 @@ const helmet = require('helmet');
 const validateUser = (req, res, next) => {
   // Check if user is authenticated
   if (!req.user) {
-    return res.status(403).json({ 
-      error: 'Unauthorized Access',
-      message: 'Authentication required for this route'
+    return next(unauthorized('Authentication required for this route'));
+  }
+  next();
+};
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Permissions are 'resource:action' strings; 'products:*' and '*' are wildcards
+const hasPermission = (user, permission) => Boolean(user) && user.permissions.some(granted =>
+  granted === '*'
+  || granted === permission
+  || (granted.endsWith(':*') && permission.startsWith(granted.slice(0, -1)))
+);
+
+// Loads a local JWKS (object or file path) into public keys by kid
+const loadJwksKeys = (jwks) => {
+  const { keys = [] } = typeof jwks === 'string' ? JSON.parse(fs.readFileSync(jwks, 'utf8')) : jwks;
+  return keys
+    .filter(jwk => !jwk.use || jwk.use === 'sig')
+    .map(jwk => ({ kid: jwk.kid, alg: jwk.alg, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }));
+};
+
+/**
+ * Creates the bearer token authentication middleware
+ * Verifies the JWT with an HMAC secret or a local JWKS and sets req.user to
+ * { id, roles, permissions, claims }. Permissions come from the scope claim,
+ * a permissions array claim and the roles claim through rolePermissions.
+ * @param {Object} options
+ * @param {string} [options.secret] - HMAC secret
+ * @param {Object|string} [options.jwks] - JWKS object or path to a JWKS file
+ * @param {string[]} [options.algorithms] - Defaults to the HMAC or asymmetric family
+ * @param {string} [options.issuer]
+ * @param {string|string[]} [options.audience]
+ * @param {number} [options.clockTolerance=0] - Seconds
+ * @param {boolean} [options.required=false] - Reject requests without a token
+ * @param {Object} [options.rolePermissions] - { admin: ['*'], editor: ['products:write'] }
+ * @returns {Function} Express middleware
+ */
+const createAuthenticator = (options = {}) => {
+  const {
+    secret,
+    jwks,
+    issuer,
+    audience,
+    clockTolerance = 0,
+    required = false,
+    rolePermissions = {}
+  } = options;
+  if (!secret && !jwks) {
+    throw new Error('createAuthenticator needs a secret or a jwks');
+  }
+
+  const algorithms = options.algorithms || (secret ? HMAC_ALGORITHMS : ASYMMETRIC_ALGORITHMS);
+  const keys = jwks ? loadJwksKeys(jwks) : [];
+
+  // A kid is required to pick among several keys; a single key is used directly
+  const keyFor = (header) => {
+    if (secret) return secret;
+    const candidates = header.kid ? keys.filter(key => key.kid === header.kid) : keys;
+    if (candidates.length !== 1) return null;
+    const [candidate] = candidates;
+    return !candidate.alg || candidate.alg === header.alg ? candidate.key : null;
+  };
+
+  const toUser = (claims) => {
+    const roles = Array.isArray(claims.roles) ? claims.roles : [];
+    const permissions = [
+      ...(typeof claims.scope === 'string' ? claims.scope.split(' ').filter(Boolean) : []),
+      ...(Array.isArray(claims.permissions) ? claims.permissions : []),
+      ...roles.flatMap(role => rolePermissions[role] || [])
+    ];
+    return { id: claims.sub, roles, permissions: [...new Set(permissions)], claims };
+  };
+
+  return (req, res, next) => {
+    const authorization = req.get('authorization');
+    if (!authorization) {
+      return next(required ? unauthorized('Authentication required for this route') : undefined);
+    }
+
+    const [scheme, token] = authorization.split(' ');
+    if (!/^bearer$/i.test(scheme) || !token) {
+      return next(unauthorized('Authorization header must use the Bearer scheme', 'invalid_request'));
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && keyFor(decoded.header);
+    if (!key) {
+      return next(unauthorized('Invalid token', 'invalid_token'));
+    }
+
+    try {
+      req.user = toUser(jwt.verify(token, key, { algorithms, issuer, audience, clockTolerance }));
+      next();
+    } catch (error) {
+      next(unauthorized(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token', 'invalid_token'));
+    }
+  };
+};
+
+/**
+ * Authorization middleware
+ * Responds 401 when no user is authenticated and 403 when a permission is missing.
+ * @param {...string} permissions - Every permission is required
+ */
+const requirePermissions = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return next(unauthorized('Authentication required for this route'));
+  }
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+  if (missing.length > 0) {
+    return next(forbidden(`Missing permission: ${missing.join(', ')}`, { required: missing }));
+  }
+  next();
+};
+
+const DEFAULT_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const UNMATCHED_ROUTE = '<unmatched>';
+
+const joinRoute = (baseUrl, path) => (path === '/' && baseUrl ? baseUrl : `${baseUrl}${path}`);
+
+/**
+ * Creates the performance monitoring middleware
+ * Records Prometheus metrics labeled by route template (/products/:id rather than
+ * the raw path, which keeps label cardinality bounded) and logs slow requests.
+ * @param {Object} [options]
+ * @param {number[]} [options.buckets] - Duration histogram buckets in seconds
+ * @param {number} [options.slowThresholdMs=100] - Default slow request threshold
+ * @param {Object} [options.slowThresholds] - Per-route thresholds in ms, keyed by
+ *   'METHOD /route' or '/route', e.g. { 'GET /products': 50 }
+ * @param {promClient.Registry} [options.registry] - Defaults to a new registry
+ * @param {boolean} [options.defaultMetrics=false] - Also collect process metrics
+ * @param {Object} [options.logger] - Structured logger, see createLogger
+ * @returns {Function} Express middleware with registry and metricsHandler
+ */
+const createPerformanceMonitor = (options = {}) => {
+  const {
+    buckets = DEFAULT_DURATION_BUCKETS,
+    slowThresholdMs = 100,
+    slowThresholds = {},
+    registry = new promClient.Registry(),
+    defaultMetrics = false,
+    logger: log = logger
+  } = options;
+
+  if (defaultMetrics) {
+    promClient.collectDefaultMetrics({ register: registry });
+  }
+
+  const labelNames = ['method', 'route', 'status_code'];
+  const duration = new promClient.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request duration in seconds',
+    labelNames,
+    buckets,
+    registers: [registry]
+  });
+  const requests = new promClient.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status code',
+    labelNames,
+    registers: [registry]
+  });
+  const inFlight = new promClient.Gauge({
+    name: 'http_requests_in_flight',
+    help: 'HTTP requests currently being processed',
+    labelNames: ['method'],
+    registers: [registry]
+  });
+  const responseSize = new promClient.Summary({
+    name: 'http_response_size_bytes',
+    help: 'HTTP response body size in bytes',
+    labelNames,
+    percentiles: [0.5, 0.9, 0.99],
+    registers: [registry]
+  });
+
+  const thresholdFor = (method, route) =>
+    slowThresholds[`${method} ${route}`] ?? slowThresholds[route] ?? slowThresholdMs;
+
+  const middleware = (req, res, next) => {
+    const start = process.hrtime.bigint();
+    let routeTemplate = UNMATCHED_ROUTE;
+    let matchedRoute;
+    let finished = false;
+
+    // Express assigns req.route when a route matches. The template is captured
+    // then, because req.baseUrl is reset once an error leaves the router.
+    Object.defineProperty(req, 'route', {
+      configurable: true,
+      enumerable: true,
+      get: () => matchedRoute,
+      set: (route) => {
+        matchedRoute = route;
+        if (!route) return;
+        routeTemplate = joinRoute(req.baseUrl, route.path);
+        const context = getRequestContext();
+        if (context) context.route = routeTemplate;
+      }
+    });
+
+    inFlight.inc({ method: req.method });
+
+    // 'close' without 'finish' means the client went away; count it once either way
+    const done = () => {
+      if (finished) return;
+      finished = true;
+      inFlight.dec({ method: req.method });
+
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      const labels = { method: req.method, route: routeTemplate, status_code: res.statusCode };
+      duration.observe(labels, seconds);
+      requests.inc(labels);
+
+      const size = Number(res.getHeader('content-length'));
+      if (Number.isFinite(size)) responseSize.observe(labels, size);
+
+      const durationMs = Math.round(seconds * 1000);
+      const fields = {
+        method: req.method,
+        route: routeTemplate,
+        status: res.statusCode,
+        durationMs,
+        ...(Number.isFinite(size) && { bytes: size }),
+        ...(!res.writableFinished && { aborted: true })
+      };
+      log.info('request completed', fields);
+
+      // Log slow requests
+      const threshold = thresholdFor(req.method, routeTemplate);
+      if (durationMs > threshold) {
+        log.warn('slow request', { ...fields, thresholdMs: threshold });
+      }
+    };
+    res.on('finish', done);
+    res.on('close', done);
+
+    next();
+  };
+
+  middleware.registry = registry;
+  middleware.metricsHandler = async (req, res, next) => {
+    try {
+      res.set('Content-Type', registry.contentType);
+      res.end(await registry.metrics());
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return middleware;
+};
+
+/**
+ * Performance logging middleware
+ * Tracks request processing time and logs performance metrics
+ */
+const performanceLogger = createPerformanceMonitor();
+
+const SANITIZE_DEFAULTS = {
+  maxDepth: 10,
+  maxKeys: 200,
+  maxArrayLength: 1000,
+  maxStringLength: 10000
+};
+const POLLUTION_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Express 5 defines req.query as a getter that parses the URL again on every
+// read, so a cleaned query has to shadow it as an own property of the request
+const setRequestQuery = (req, query) => {
+  Object.defineProperty(req, 'query', { value: query, writable: true, enumerable: true, configurable: true });
+};
+
+/**
+ * Creates the request sanitization middleware
+ * Walks body and query at every depth: trims strings, drops MongoDB operator keys
+ * ($where, $gt), dotted keys and prototype pollution keys, and enforces size limits.
+ * @param {Object} [options] - maxDepth, maxKeys (per object), maxArrayLength, maxStringLength, logger
+ * @returns {Function} Express middleware
+ */
+const createSanitizer = (options = {}) => {
+  const { logger: log = logger, ...limitOptions } = options;
+  const limits = { ...SANITIZE_DEFAULTS, ...limitOptions };
+  const tooLarge = (message) => new PayloadTooLargeError(message);
+
+  const sanitizeValue = (value, depth, path, stripped) => {
+    if (typeof value === 'string') {
+      if (value.length > limits.maxStringLength) {
+        throw tooLarge(`${path} is longer than ${limits.maxStringLength} characters`);
+      }
+      return value.trim();
+    }
+    if (value === null || typeof value !== 'object') return value;
+
+    if (depth >= limits.maxDepth) {
+      throw new BadRequestError(`Input is nested deeper than ${limits.maxDepth} levels`);
+    }
+    if (Array.isArray(value)) {
+      if (value.length > limits.maxArrayLength) {
+        throw tooLarge(`${path} has more than ${limits.maxArrayLength} items`);
+      }
+      return value.map((item, index) => sanitizeValue(item, depth + 1, `${path}[${index}]`, stripped));
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length > limits.maxKeys) {
+      throw tooLarge(`${path} has more than ${limits.maxKeys} keys`);
+    }
+    return keys.reduce((clean, key) => {
+      if (key.startsWith('$') || key.includes('.') || POLLUTION_KEYS.has(key)) {
+        stripped.push(`${path}.${key}`);
+      } else {
+        clean[key] = sanitizeValue(value[key], depth + 1, `${path}.${key}`, stripped);
+      }
+      return clean;
+    }, {});
+  };
+
+  return (req, res, next) => {
+    try {
+      const stripped = [];
+      if (req.body !== undefined) {
+        req.body = sanitizeValue(req.body, 0, 'body', stripped);
+      }
+      if (req.query) {
+        setRequestQuery(req, sanitizeValue(req.query, 0, 'query', stripped));
+      }
+      if (stripped.length > 0) {
+        log.warn('removed unsafe input keys', { keys: stripped });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Request sanitization middleware with the default limits
+ */
+const sanitizeRequest = createSanitizer();
+
+// Bodies are validated as sent; query and params are strings, so they are coerced
+const bodyValidator = addFormats(new Ajv({ allErrors: true, useDefaults: true, strict: false }));
+const coercingValidator = addFormats(new Ajv({ allErrors: true, useDefaults: true, coerceTypes: 'array', strict: false }));
+
+// Flattens Ajv errors into { location, path, message, keyword, params }
+const formatSchemaErrors = (location, errors) => errors.map(error => ({
+  location,
+  path: error.params.missingProperty || error.params.additionalProperty
+    ? `${error.instancePath}/${error.params.missingProperty || error.params.additionalProperty}`
+    : error.instancePath || '/',
+  message: error.message,
+  keyword: error.keyword,
+  params: error.params
+}));
+
+/**
+ * Request validation middleware
+ * Validates req.body, req.query and req.params against JSON Schemas and
+ * collects every error. Query and params values are coerced in place.
+ * @param {Object} schemas - { body, query, params }, each a JSON Schema
+ * @returns {Function} Express middleware
+ */
+const validateRequest = (schemas) => {
+  const validators = Object.entries(schemas).map(([location, schema]) => [
+    location,
+    (location === 'body' ? bodyValidator : coercingValidator).compile(schema)
+  ]);
+
+  return (req, res, next) => {
+    const errors = validators.flatMap(([location, validate]) => {
+      const value = req[location];
+      const valid = validate(value);
+      // Keep the coerced values and defaults Ajv wrote into the query object
+      if (location === 'query') setRequestQuery(req, value);
+      return valid ? [] : formatSchemaErrors(location, validate.errors);
+    });
+    if (errors.length > 0) {
+      return next(unprocessable('Request validation failed', { errors }));
+    }
+    next();
+  };
+};
+
+// 2. Dynamic Router Generation
+/**
+ * HTTP error carrying a status code, handled by globalErrorHandler
+ * Rendered as RFC 7807 problem details: title, status, detail (the message),
+ * and details as extension members.
+ */
+class HttpError extends Error {
+  constructor(status, title, message, details, headers) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.title = title;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+// Error catalog
+class BadRequestError extends HttpError {
+  constructor(message = 'The request could not be understood', details) {
+    super(400, 'Bad Request', message, details);
+    this.name = 'BadRequestError';
+  }
+}
+
+// RFC 6750: the challenge names the error only when a token was presented
+class AuthenticationError extends HttpError {
+  constructor(message = 'Authentication required', challengeError) {
+    super(401, 'Authentication Error', message, undefined, {
+      'WWW-Authenticate': challengeError ? `Bearer realm="api", error="${challengeError}"` : 'Bearer realm="api"'
+    });
+    this.name = 'AuthenticationError';
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Access denied', details) {
+    super(403, 'Forbidden', message, details);
+    this.name = 'ForbiddenError';
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Resource not found', details) {
+    super(404, 'Not Found', message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message = 'The request conflicts with the current state', details) {
+    super(409, 'Conflict', message, details);
+    this.name = 'ConflictError';
+  }
+}
+
+class PreconditionFailedError extends HttpError {
+  constructor(message = 'The resource has changed', details) {
+    super(412, 'Precondition Failed', message, details);
+    this.name = 'PreconditionFailedError';
+  }
+}
+
+class PreconditionRequiredError extends HttpError {
+  constructor(message = 'This request must be conditional', details) {
+    super(428, 'Precondition Required', message, details);
+    this.name = 'PreconditionRequiredError';
+  }
+}
+
+class PayloadTooLargeError extends HttpError {
+  constructor(message = 'Request body exceeds the size limit', details) {
+    super(413, 'Payload Too Large', message, details);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+class ValidationError extends HttpError {
+  constructor(message = 'Request validation failed', details) {
+    super(422, 'Validation Error', message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+class RateLimitedError extends HttpError {
+  constructor(message = 'Too many requests, please try again later', retryAfterSeconds) {
+    super(429, 'Too Many Requests', message,
+      retryAfterSeconds !== undefined ? { retryAfter: retryAfterSeconds } : undefined,
+      retryAfterSeconds !== undefined ? { 'Retry-After': String(retryAfterSeconds) } : undefined);
+    this.name = 'RateLimitedError';
+  }
+}
+
+const notFound = (id) => new NotFoundError(`Document not found: ${id}`);
+const unprocessable = (message, details) => new ValidationError(message, details);
+const conflict = (message, details) => new ConflictError(message, details);
+const forbidden = (message, details) => new ForbiddenError(message, details);
+const unauthorized = (message, challengeError) => new AuthenticationError(message, challengeError);
+
+/**
+ * Forwards rejected promises from async route handlers to next()
+ * Express 4 does not do this on its own.
+ */
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+const MAX_BULK_ITEMS = 100;
+const IMMUTABLE_FIELDS = ['_id', '__v', 'createdAt'];
+
+/**
+ * Applies a JSON Merge Patch (RFC 7396)
+ * @param {*} target - Current document
+ * @param {*} patch - Merge patch; null members remove fields
+ * @returns {*} Patched copy
+ */
+const applyMergePatch = (target, patch) => {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
+  }
+
+  const result = target !== null && typeof target === 'object' && !Array.isArray(target)
+    ? { ...target }
+    : {};
+  Object.entries(patch).filter(([key]) => !POLLUTION_KEYS.has(key)).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+const parseJsonPointer = (pointer) => {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw unprocessable(`Invalid JSON Pointer: ${pointer}`);
+  }
+  const tokens = pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  // Walking into these would reach Object.prototype
+  if (tokens.some(token => POLLUTION_KEYS.has(token))) {
+    throw unprocessable(`JSON Pointer may not reference ${[...POLLUTION_KEYS].join(', ')}: ${pointer}`);
+  }
+  return tokens;
+};
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Applies a JSON Patch (RFC 6902)
+ * Malformed operations raise 422; operations that do not fit the current
+ * document (missing paths, failed "test") raise 409.
+ * @param {Object} document - Current document
+ * @param {Object[]} operations - Patch operations
+ * @returns {Object} Patched copy
+ */
+const applyJsonPatch = (document, operations) => {
+  if (!Array.isArray(operations)) {
+    throw unprocessable('JSON Patch body must be an array of operations');
+  }
+
+  let result = JSON.parse(JSON.stringify(document));
+
+  const resolveParent = (tokens, path) => {
+    let parent = result;
+    for (const token of tokens.slice(0, -1)) {
+      if (parent === null || typeof parent !== 'object' || !hasOwn(parent, token)) {
+        throw conflict(`Path does not exist: ${path}`);
+      }
+      parent = parent[token];
+    }
+    if (parent === null || typeof parent !== 'object') {
+      throw conflict(`Path does not exist: ${path}`);
+    }
+    return parent;
+  };
+
+  const getValue = (path) => {
+    return parseJsonPointer(path).reduce((current, token) => {
+      if (current === null || typeof current !== 'object' || !hasOwn(current, token)) {
+        throw conflict(`Path does not exist: ${path}`);
+      }
+      return current[token];
+    }, result);
+  };
+
+  const addValue = (path, value) => {
+    const tokens = parseJsonPointer(path);
+    if (tokens.length === 0) {
+      result = value;
+      return;
+    }
+    const parent = resolveParent(tokens, path);
+    const key = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+      const index = key === '-' ? parent.length : Number(key);
+      if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+        throw conflict(`Array index out of bounds: ${path}`);
+      }
+      parent.splice(index, 0, value);
+    } else {
+      parent[key] = value;
+    }
+  };
+
+  const removeValue = (path) => {
+    const tokens = parseJsonPointer(path);
+    if (tokens.length === 0) throw unprocessable('The whole document cannot be removed');
+    const parent = resolveParent(tokens, path);
+    const key = tokens[tokens.length - 1];
+    if (!hasOwn(parent, key)) throw conflict(`Path does not exist: ${path}`);
+    const value = parent[key];
+    if (Array.isArray(parent)) {
+      parent.splice(Number(key), 1);
+    } else {
+      delete parent[key];
+    }
+    return value;
+  };
+
+  operations.forEach((operation, index) => {
+    const { op, path, from, value } = operation || {};
+    if (typeof path !== 'string') {
+      throw unprocessable(`Operation ${index} has no path`);
+    }
+
+    switch (op) {
+      case 'add':
+        addValue(path, value);
+        break;
+      case 'remove':
+        removeValue(path);
+        break;
+      case 'replace':
+        // "" is the whole document, which always exists
+        if (path !== '') removeValue(path);
+        addValue(path, value);
+        break;
+      case 'move':
+        addValue(path, removeValue(from));
+        break;
+      case 'copy':
+        addValue(path, JSON.parse(JSON.stringify(getValue(from))));
+        break;
+      case 'test':
+        // Member order does not matter (RFC 6902 section 4.6)
+        if (!isDeepStrictEqual(getValue(path), value)) {
+          throw conflict(`Test operation failed at ${path}`);
+        }
+        break;
+      default:
+        throw unprocessable(`Operation ${index} has an unsupported op: ${op}`);
+    }
+  });
+
+  return result;
+};
+
+// List query language: ?filter[price][gte]=10&q=phone&fields=name,price&sort=-price,name
+const FILTER_OPERATORS = {
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  nin: '$nin',
+  exists: '$exists'
+};
+const FIELD_NAME = /^[A-Za-z][\w.]*$/;
+const DEFAULT_LIST_LIMIT = 10;
+const MAX_SEARCH_LENGTH = 100;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+/**
+ * Converts a query string value to the stored type of the field
+ * @param {Object} adapter - Storage adapter that knows the field type
+ * @param {string} field - Field name
+ * @param {string} value - Raw query string value
+ */
+const coerceFilterValue = (adapter, field, value) => {
+  if (typeof value !== 'string') {
+    throw unprocessable(`Invalid value for filter on ${field}`);
+  }
+
+  switch (adapter.fieldType?.(field)) {
+    case 'Number': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) throw unprocessable(`Filter on ${field} expects a number`);
+      return number;
+    }
+    case 'Date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw unprocessable(`Filter on ${field} expects a date`);
+      return date;
+    }
+    case 'Boolean':
+      if (value !== 'true' && value !== 'false') throw unprocessable(`Filter on ${field} expects true or false`);
+      return value === 'true';
+    default:
+      return value;
+  }
+};
+
+// Cursors carry the sort they were built for and the sort values of the boundary
+// document. Dates and ObjectIds are tagged so they compare as such after decoding;
+// anything else must be a JSON primitive, so a cursor cannot smuggle in query operators.
+const sortSignature = (sort) => Object.entries(sort).map(([field, order]) => `${order < 0 ? '-' : ''}${field}`).join(',');
+
+const encodeCursorValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value !== null && typeof value === 'object' && typeof value.toHexString === 'function') {
+    return { $oid: value.toHexString() };
+  }
+  return value;
+};
+
+const decodeCursorValue = (value) => {
+  if (value === null || ['string', 'boolean'].includes(typeof value)) return value;
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+
+  const keys = value !== null && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+  if (keys.length === 1 && keys[0] === '$date' && typeof value.$date === 'string') {
+    const date = new Date(value.$date);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+  if (keys.length === 1 && keys[0] === '$oid' && /^[0-9a-f]{24}$/.test(value.$oid)) {
+    return new mongoose.Types.ObjectId(value.$oid);
+  }
+  throw new Error('Unsupported cursor value');
+};
+
+const encodeCursor = ({ sort, values, direction }) => Buffer.from(JSON.stringify({
+  sort: sortSignature(sort),
+  values: values.map(encodeCursorValue),
+  direction
+})).toString('base64url');
+
+/**
+ * Decodes a cursor made by encodeCursor for the same sort
+ * @throws {ValidationError} 422 for malformed cursors or a different sort
+ */
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Array.isArray(payload.values) || !['next', 'prev'].includes(payload.direction)) throw new Error();
+    payload.values = payload.values.map(decodeCursorValue);
+  } catch (error) {
+    throw unprocessable('Invalid pagination cursor');
+  }
+  if (payload.sort !== sortSignature(sort) || payload.values.length !== Object.keys(sort).length) {
+    throw unprocessable('Pagination cursor does not match the requested sort');
+  }
+  return { values: payload.values, direction: payload.direction };
+};
+
+/**
+ * Parses a sort spec such as "-price,name" into { price: -1, name: 1, _id: 1 }
+ * @param {string} spec - Comma separated fields, '-' for descending
+ * @param {string[]} [sortable] - Allowed fields; omitted for trusted specs
+ * @throws {ValidationError} 422 for fields outside sortable
+ */
+const parseSort = (spec, sortable) => {
+  const sort = {};
+  spec.split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+    const field = item.replace(/^[-+]/, '');
+    if (sortable && !sortable.includes(field)) {
+      throw unprocessable(`Field is not sortable: ${field}`, { sortable });
+    }
+    sort[field] = item.startsWith('-') ? -1 : 1;
+  });
+  // _id breaks ties so cursor pagination has a total order
+  if (!hasOwn(sort, '_id')) sort._id = 1;
+  return sort;
+};
+
+/**
+ * Parses list query parameters against the router allowlists
+ * @param {Object} query - req.query (qs parsed, so filter[price][gte] is nested)
+ * @param {Object} adapter - Storage adapter used for type coercion
+ * @param {Object} options - Router options (filterable, sortable, searchable, selectable, maxLimit)
+ * @returns {{filter: Object, sort: Object, projection: Object|null, limit: number}}
+ */
+const parseListQuery = (query, adapter, options) => {
+  const { filterable, sortable, searchable, selectable, maxLimit, defaultSort } = options;
+  const conditions = [];
+
+  // Without the extended query parser filter[price][gte] arrives as a flat key;
+  // ignoring it would answer with the unfiltered collection
+  const flatFilter = Object.keys(query).find(key => key.startsWith('filter['));
+  if (flatFilter) {
+    throw unprocessable(`Unparsed filter parameter: ${flatFilter}`, {
+      hint: "Nested filters need app.set('query parser', 'extended')"
+    });
+  }
+
+  // filter[field]=value is shorthand for filter[field][eq]=value
+  const filters = query.filter ?? {};
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw unprocessable('filter must be of the form filter[field][operator]=value');
+  }
+  Object.entries(filters).forEach(([field, expression]) => {
+    if (!filterable.includes(field)) {
+      throw unprocessable(`Field is not filterable: ${field}`, { filterable });
+    }
+    const operations = typeof expression === 'object' && !Array.isArray(expression)
+      ? expression
+      : { eq: expression };
+
+    Object.entries(operations).forEach(([operator, value]) => {
+      if (!hasOwn(FILTER_OPERATORS, operator)) {
+        throw unprocessable(`Unsupported filter operator: ${operator}`, { operators: Object.keys(FILTER_OPERATORS) });
+      }
+
+      let condition;
+      if (operator === 'exists') {
+        if (value !== 'true' && value !== 'false') throw unprocessable(`Filter on ${field} expects true or false`);
+        condition = value === 'true';
+      } else if (operator === 'in' || operator === 'nin') {
+        const values = Array.isArray(value) ? value : String(value).split(',');
+        condition = values.map(item => coerceFilterValue(adapter, field, item));
+      } else {
+        condition = coerceFilterValue(adapter, field, value);
+      }
+      conditions.push({ [field]: { [FILTER_OPERATORS[operator]]: condition } });
+    });
+  });
+
+  // q: case-insensitive substring search across the searchable fields
+  if (query.q !== undefined && searchable.length > 0) {
+    if (typeof query.q !== 'string' || query.q.length > MAX_SEARCH_LENGTH) {
+      throw unprocessable(`q must be a string of at most ${MAX_SEARCH_LENGTH} characters`);
+    }
+    const pattern = new RegExp(escapeRegExp(query.q), 'i');
+    conditions.push({ $or: searchable.map(field => ({ [field]: pattern })) });
+  }
+
+  // sort=-price,name, or the older sort=price&order=desc form. The allowlist
+  // applies to the client's sort; defaultSort is the router's own choice.
+  const sort = typeof query.sort === 'string' && query.sort !== ''
+    ? parseSort(query.order && !query.sort.includes(',') && !query.sort.startsWith('-')
+      ? `${query.order === 'desc' ? '-' : ''}${query.sort}`
+      : query.sort, sortable)
+    : parseSort(defaultSort);
+
+  let projection = null;
+  if (typeof query.fields === 'string' && query.fields !== '') {
+    const fields = query.fields.split(',').map(field => field.trim()).filter(Boolean);
+    const rejected = fields.filter(field =>
+      !FIELD_NAME.test(field) || (selectable ? !selectable.includes(field) : field.startsWith('__'))
+    );
+    if (rejected.length > 0) {
+      throw unprocessable(`Fields cannot be selected: ${rejected.join(', ')}`);
+    }
+    projection = Object.fromEntries(fields.map(field => [field, 1]));
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIST_LIMIT, 1), maxLimit);
+
+  return {
+    filter: conditions.length > 0 ? { $and: conditions } : {},
+    sort,
+    projection,
+    limit
+  };
+};
+
+/**
+ * Builds the keyset condition for documents after (or before) a cursor position
+ * For sort { a: 1, b: -1, _id: 1 } after (va, vb, vid):
+ * a > va OR (a = va AND b < vb) OR (a = va AND b = vb AND _id > vid)
+ */
+const buildKeysetCondition = (sort, values, direction) => {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.map((field, index) => {
+      const ascending = (sort[field] === 1) === (direction === 'next');
+      const condition = Object.fromEntries(fields.slice(0, index).map((previous, i) => [previous, values[i]]));
+      condition[field] = { [ascending ? '$gt' : '$lt']: values[index] };
+      return condition;
+    })
+  };
+};
+
+const buildPageLink = (req, cursor) => {
+  const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+  params.set('cursor', cursor);
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params}`;
+};
+
+// Storage adapters
+// createDynamicRouter talks to storage only through this interface, so the same
+// routes run against MongoDB or an in-memory store. Every method returns plain objects.
+//   find({ filter, sort, skip, limit, projection }) -> documents
+//   findById(id) -> document | null
+//   create(data) -> document
+//   update(id, data) -> document | null   (data replaces the stored document)
+//   delete(id) -> boolean
+//   paginate(filter, { page, limit, sort, projection }) -> { docs, total, page, pages }
+//   count(filter) -> number
+//   fieldType(field) -> 'String' | 'Number' | 'Date' | 'Boolean' | undefined
+// Filters use the MongoDB query subset produced by parseListQuery.
+
+const paginateWith = async (adapter, filter, { page = 1, limit = DEFAULT_LIST_LIMIT, sort, projection } = {}) => {
+  const [total, docs] = await Promise.all([
+    adapter.count(filter),
+    adapter.find({ filter, sort, projection, skip: (page - 1) * limit, limit })
+  ]);
+  return { docs, total, page, pages: Math.ceil(total / limit) };
+};
+
+/**
+ * Wraps a Mongoose model in the storage adapter interface
+ * @param {mongoose.Model} model
+ */
+const createMongooseAdapter = (model) => {
+  const adapter = {
+    fieldType: (field) => model.schema?.path(field)?.instance,
+
+    find: ({ filter = {}, sort, skip, limit, projection } = {}) => {
+      let query = model.find(filter);
+      if (sort) query = query.sort(sort);
+      if (skip) query = query.skip(skip);
+      if (limit) query = query.limit(limit);
+      if (projection) query = query.select(projection);
+      return query.lean();
+    },
+
+    findById: async (id) => (mongoose.isValidObjectId(id) ? model.findById(id).lean() : null),
+
+    create: async (data) => (await model.create(data)).toObject(),
+
+    // Loads and saves the document so schema validation and middleware still run
+    update: async (id, data) => {
+      const document = mongoose.isValidObjectId(id) ? await model.findById(id) : null;
+      if (!document) return null;
+      Object.keys(document.toObject())
+        .filter(key => !IMMUTABLE_FIELDS.includes(key) && !(key in data))
+        .forEach(key => document.set(key, undefined));
+      document.set(data);
+      await document.save();
+      return document.toObject();
+    },
+
+    delete: async (id) => mongoose.isValidObjectId(id) && Boolean(await model.findByIdAndDelete(id)),
+
+    paginate: (filter, options) => paginateWith(adapter, filter, options),
+
+    count: (filter = {}) => model.countDocuments(filter)
+  };
+  return adapter;
+};
+
+// Comparison for the in-memory adapter: dates by time, ids and strings as strings
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value !== null && typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+  return value;
+};
+
+const compareValues = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+const matchesOperator = (value, operator, operand) => {
+  switch (operator) {
+    case '$eq': return compareValues(value, operand) === 0;
+    case '$ne': return compareValues(value, operand) !== 0;
+    case '$gt': return value != null && compareValues(value, operand) > 0;
+    case '$gte': return value != null && compareValues(value, operand) >= 0;
+    case '$lt': return value != null && compareValues(value, operand) < 0;
+    case '$lte': return value != null && compareValues(value, operand) <= 0;
+    case '$in': return operand.some(item => compareValues(value, item) === 0);
+    case '$nin': return !operand.some(item => compareValues(value, item) === 0);
+    case '$exists': return (value !== undefined) === Boolean(operand);
+    case '$regex': return new RegExp(operand).test(value);
+    default: throw new Error(`Unsupported query operator: ${operator}`);
+  }
+};
+
+const matchesFilter = (document, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$and') return condition.every(part => matchesFilter(document, part));
+  if (key === '$or') return condition.some(part => matchesFilter(document, part));
+
+  const value = getPath(document, key);
+  if (condition instanceof RegExp) return typeof value === 'string' && condition.test(value);
+  if (condition !== null && typeof condition === 'object' && !(condition instanceof Date)
+    && Object.keys(condition).every(operator => operator.startsWith('$'))) {
+    return Object.entries(condition).every(([operator, operand]) => matchesOperator(value, operator, operand));
+  }
+  return compareValues(value, condition) === 0;
+});
+
+const MEMORY_FIELD_TYPES = {
+  String: (value) => (typeof value === 'string' ? value : undefined),
+  Number: (value) => (typeof value === 'number' && Number.isFinite(value) ? value : undefined),
+  Boolean: (value) => (typeof value === 'boolean' ? value : undefined),
+  Date: (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+};
+
+/**
+ * In-memory storage adapter, for local runs and tests without a database
+ * Mirrors the Mongoose behaviour the routes rely on: 24-hex ids, timestamps,
+ * required/typed fields (ValidationError) and unique fields (duplicate key 11000).
+ * @param {Object} [options]
+ * @param {Object} [options.fields] - { name: { type: 'String', required: true, unique: true } }
+ * @param {Object[]} [options.seed] - Documents to load on creation
+ */
+const createMemoryAdapter = (options = {}) => {
+  const fields = options.fields || {};
+  const documents = new Map();
+
+  const validationError = (errors) => {
+    const error = new Error(`Validation failed: ${Object.entries(errors).map(([field, { message }]) => `${field}: ${message}`).join(', ')}`);
+    error.name = 'ValidationError';
+    error.errors = errors;
+    return error;
+  };
+
+  // Casts typed fields and reports missing, mistyped and duplicate values like Mongoose would
+  const prepare = (data, id) => {
+    const document = { ...data };
+    const errors = {};
+
+    Object.entries(fields).forEach(([field, definition]) => {
+      const value = document[field];
+      if (value === undefined || value === null || value === '') {
+        if (definition.required) errors[field] = { kind: 'required', message: `Path \`${field}\` is required.` };
+        return;
+      }
+      const cast = MEMORY_FIELD_TYPES[definition.type];
+      if (cast) {
+        const castValue = cast(value);
+        if (castValue === undefined) {
+          errors[field] = { kind: definition.type, message: `Cast to ${definition.type} failed for value "${value}"` };
+        } else {
+          document[field] = castValue;
+        }
+      }
+    });
+    if (Object.keys(errors).length > 0) throw validationError(errors);
+
+    Object.entries(fields)
+      .filter(([field, definition]) => definition.unique && document[field] !== undefined)
+      .forEach(([field]) => {
+        const duplicate = [...documents.values()].some(existing =>
+          existing._id !== id && compareValues(existing[field], document[field]) === 0
+        );
+        if (duplicate) {
+          const error = new Error(`E11000 duplicate key error: ${field}`);
+          error.code = 11000;
+          error.keyValue = { [field]: document[field] };
+          throw error;
+        }
+      });
+
+    return document;
+  };
+
+  const project = (document, projection) => {
+    const copy = structuredClone(document);
+    if (!projection) return copy;
+    return Object.fromEntries(
+      Object.entries(copy).filter(([key]) => key === '_id' || projection[key])
+    );
+  };
+
+  const adapter = {
+    fieldType: (field) => (field === 'createdAt' || field === 'updatedAt' ? 'Date' : fields[field]?.type),
+
+    find: async ({ filter = {}, sort, skip = 0, limit, projection } = {}) => {
+      const results = [...documents.values()].filter(document => matchesFilter(document, filter));
+      if (sort) {
+        const order = Object.entries(sort);
+        results.sort((a, b) => {
+          for (const [field, direction] of order) {
+            const result = compareValues(getPath(a, field), getPath(b, field)) * direction;
+            if (result !== 0) return result;
+          }
+          return 0;
+        });
+      }
+      return results
+        .slice(skip, limit ? skip + limit : undefined)
+        .map(document => project(document, projection));
+    },
+
+    findById: async (id) => (documents.has(String(id)) ? structuredClone(documents.get(String(id))) : null),
+
+    create: async (data) => {
+      const now = new Date();
+      const { _id, __v, createdAt, updatedAt, ...body } = data;
+      const document = {
+        ...prepare(body),
+        _id: crypto.randomBytes(12).toString('hex'),
+        createdAt: now,
+        updatedAt: now
+      };
+      documents.set(document._id, document);
+      return structuredClone(document);
+    },
+
+    update: async (id, data) => {
+      const current = documents.get(String(id));
+      if (!current) return null;
+      const { _id, __v, createdAt, updatedAt, ...body } = data;
+      const document = {
+        ...prepare(body, current._id),
+        _id: current._id,
+        createdAt: current.createdAt,
+        updatedAt: new Date()
+      };
+      documents.set(document._id, document);
+      return structuredClone(document);
+    },
+
+    delete: async (id) => documents.delete(String(id)),
+
+    paginate: (filter, paginateOptions) => paginateWith(adapter, filter, paginateOptions),
+
+    count: async (filter = {}) => [...documents.values()].filter(document => matchesFilter(document, filter)).length
+  };
+
+  (options.seed || []).forEach(document => {
+    const now = new Date();
+    const stored = {
+      ...prepare(document),
+      _id: document._id ? String(document._id) : crypto.randomBytes(12).toString('hex'),
+      createdAt: document.createdAt ? new Date(document.createdAt) : now,
+      updatedAt: document.updatedAt ? new Date(document.updatedAt) : now
+    };
+    documents.set(stored._id, stored);
+  });
+
+  return adapter;
+};
+
+/**
+ * In-memory LRU cache with a time to live per entry
+ * Reads refresh recency; once max is exceeded the least recently used entry is evicted.
+ * @param {Object} [options] - max entries (default unbounded), ttlMs default for set() (default no expiry)
+ */
+const createLruCache = (options = {}) => {
+  const { max = Infinity, ttlMs = Infinity } = options;
+  // Map keeps insertion order, so the first key is the least recently used
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  return {
+    get: (key) => {
+      const entry = live(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    has: (key) => live(key) !== undefined,
+    set: (key, value, entryTtlMs = ttlMs) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + entryTtlMs });
+      while (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+    delete: (key) => entries.delete(key),
+    // Visits unexpired entries; the callback may delete the current key
+    forEach: (callback) => {
+      const now = Date.now();
+      entries.forEach((entry, key) => {
+        if (entry.expiresAt > now) callback(entry.value, key);
+      });
+    },
+    prune: (now = Date.now()) => {
+      entries.forEach((entry, key) => {
+        if (entry.expiresAt <= now) entries.delete(key);
+      });
+    },
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+// HTTP caching
+// Documents get strong ETags from their stored content, so a read and a later
+// If-Match compare the same value. List pages get weak ETags from the response body.
+const hashRepresentation = (value) => crypto.createHash('sha256').update(value).digest('base64url').slice(0, 27);
+const documentETag = (document) => `"${hashRepresentation(JSON.stringify(document))}"`;
+const weakETag = (payload) => `W/"${hashRepresentation(payload)}"`;
+
+const DEFAULT_CACHE_CONTROL = {
+  list: 'private, no-cache',
+  read: 'private, no-cache',
+  write: 'no-store'
+};
+const LIST_CACHE_TAG = '*list';
+
+/**
+ * In-memory LRU cache of serialized GET responses
+ * Entries are tagged with a document id, or as a list page, for invalidation.
+ * @param {Object} [options] - max entries (default 500), ttlMs (default 30s)
+ */
+const createResponseCache = (options = {}) => {
+  const { max = 500, ttlMs = 30 * 1000 } = options;
+  const entries = createLruCache({ max, ttlMs });
+
+  return {
+    get: (key) => entries.get(key),
+    set: (key, entry) => entries.set(key, entry),
+    // Drops every list page, plus the entries of one document when an id is given
+    invalidate: (id) => {
+      entries.forEach((entry, key) => {
+        if (entry.tag === LIST_CACHE_TAG || (id !== undefined && entry.tag === String(id))) {
+          entries.delete(key);
+        }
+      });
+    },
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+// Permission groups for createDynamicRouter: 'read' and 'write' cover these actions
+const CRUD_ACTION_GROUPS = {
+  list: 'read',
+  read: 'read',
+  create: 'write',
+  replace: 'write',
+  patch: 'write',
+  delete: 'write',
+  bulkCreate: 'write',
+  bulkPatch: 'write',
+  bulkDelete: 'write'
+};
+
+// Mongoose models are constructor functions; anything else is already an adapter
+const toAdapter = (source) => (typeof source === 'function' ? createMongooseAdapter(source) : source);
+
+/**
+ * Creates a dynamic CRUD router over a storage adapter
+ * Routes: list, create, read, replace, patch, delete and bulk create/update/delete.
+ * Errors are passed to next() and rendered by globalErrorHandler.
+ * @param {Object|mongoose.Model} source - Storage adapter, or a Mongoose model to wrap
+ * @param {Object} [options] - List query allowlists
+ * @param {string[]} [options.filterable=[]] - Fields accepted in filter[field][op]
+ * @param {string[]} [options.sortable] - Fields accepted in sort (default: filterable and createdAt)
+ * @param {string[]} [options.searchable=[]] - Fields matched by ?q=
+ * @param {string[]} [options.selectable] - Fields accepted in ?fields= (default: any non-internal field)
+ * @param {string} [options.defaultSort='-createdAt']
+ * @param {number} [options.maxLimit=100]
+ * @param {Object} [options.schema] - JSON Schema every created or updated document must match
+ * @param {Object} [options.validate] - Request schemas per action, e.g. { list: { query }, read: { params } };
+ *   actions: list, create, read, replace, patch, delete, bulkCreate, bulkPatch, bulkDelete
+ * @param {Object} [options.permissions] - Required permissions per action or per group ('read', 'write'),
+ *   e.g. { read: null, write: 'products:write', delete: ['products:write', 'products:delete'] };
+ *   an action key wins over its group. Needs req.user, see createAuthenticator.
+ * @param {Object} [options.ownership] - { field, bypass }: writes are limited to documents whose
+ *   field holds req.user.id unless the user has the bypass permission
+ * @param {Object} [options.cacheControl] - Cache-Control per route kind: { list, read, write }
+ * @param {boolean} [options.requireIfMatch=false] - Reject PUT, PATCH and DELETE without If-Match (428)
+ * @param {Object|boolean} [options.responseCache] - Cache GET responses in memory, see createResponseCache;
+ *   writes through this router invalidate the lists and the written document
+ * @returns {express.Router} Configured router with CRUD operations
+ */
+const createDynamicRouter = (source, options = {}) => {
+  const router = express.Router();
+  const adapter = toAdapter(source);
+  const filterable = options.filterable || [];
+  const listOptions = {
+    filterable,
+    sortable: options.sortable || [...new Set([...filterable, 'createdAt', '_id'])],
+    searchable: options.searchable || [],
+    selectable: options.selectable || null,
+    defaultSort: options.defaultSort || '-createdAt',
+    maxLimit: options.maxLimit || 100
+  };
+
+  const validateDocument = options.schema && bodyValidator.compile(options.schema);
+  const cacheControl = { ...DEFAULT_CACHE_CONTROL, ...options.cacheControl };
+  const responseCache = options.responseCache
+    ? createResponseCache(options.responseCache === true ? {} : options.responseCache)
+    : null;
+  router.responseCache = responseCache;
+
+  // Write responses are never cached
+  router.use((req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') res.set('Cache-Control', cacheControl.write);
+    next();
+  });
+
+  // Middleware run before each action: permission check, then request validation
+  const routeGuards = (action) => {
+    const permissions = options.permissions || {};
+    const required = action in permissions ? permissions[action] : permissions[CRUD_ACTION_GROUPS[action]];
+    return [
+      ...(required ? [requirePermissions(...[].concat(required))] : []),
+      ...(options.validate?.[action] ? [validateRequest(options.validate[action])] : [])
+    ];
+  };
+
+  // Checks a document against the resource schema, leaving out the fields storage manages.
+  // Returns the document with schema defaults applied.
+  const assertValidDocument = (data) => {
+    if (!validateDocument) return data;
+    const candidate = JSON.parse(JSON.stringify(data));
+    [...IMMUTABLE_FIELDS, 'updatedAt'].forEach(field => delete candidate[field]);
+    if (!validateDocument(candidate)) {
+      throw unprocessable('Document does not match the resource schema', {
+        errors: formatSchemaErrors('body', validateDocument.errors)
+      });
+    }
+    return { ...data, ...candidate };
+  };
+
+  const findOrFail = async (id) => {
+    const document = await adapter.findById(id);
+    if (!document) throw notFound(id);
+    return document;
+  };
+
+  // Optimistic concurrency: If-Match must name the current strong ETag (or be *)
+  const assertIfMatch = (req, document) => {
+    const header = req.get('if-match');
+    if (!header) {
+      if (options.requireIfMatch) {
+        throw new PreconditionRequiredError('Send If-Match with the ETag of the document being modified');
+      }
+      return;
+    }
+    const current = documentETag(document);
+    const matches = header.trim() === '*' || header.split(',')
+      .map(tag => tag.trim())
+      .some(tag => !tag.startsWith('W/') && tag === current);
+    if (!matches) {
+      throw new PreconditionFailedError('The document was modified since it was read', { etag: current });
+    }
+  };
+
+  // Sends a GET response with its ETag and caches it; Express answers If-None-Match with 304
+  const sendRepresentation = (req, res, kind, { body, etag, headers = {}, tag }) => {
+    const payload = JSON.stringify(body);
+    const entry = { payload, etag: etag || weakETag(payload), headers, tag };
+    if (responseCache) {
+      responseCache.set(req.originalUrl, entry);
+      res.set('X-Cache', 'MISS');
+    }
+    res.set({ ...headers, ETag: entry.etag, 'Cache-Control': cacheControl[kind] });
+    res.type('json').send(payload);
+  };
+
+  const sendCached = (req, res, kind) => {
+    const entry = responseCache?.get(req.originalUrl);
+    if (!entry) return false;
+    res.set({ ...entry.headers, ETag: entry.etag, 'Cache-Control': cacheControl[kind], 'X-Cache': 'HIT' });
+    res.type('json').send(entry.payload);
+    return true;
+  };
+
+  const invalidate = (id) => responseCache?.invalidate(id);
+
+  // Ownership: the owner field is set from req.user on create and cannot be
+  // changed afterwards, except by users holding the bypass permission
+  const ownerField = options.ownership?.field;
+  const bypassesOwnership = (req) => hasPermission(req.user, options.ownership?.bypass || '*');
+
+  const assertAuthenticated = (req) => {
+    if (!req.user) throw unauthorized('Authentication required for this route');
+  };
+
+  const findForWrite = async (req, id) => {
+    const document = await findOrFail(id);
+    if (ownerField && !bypassesOwnership(req)) {
+      assertAuthenticated(req);
+      if (String(document[ownerField]) !== String(req.user.id)) {
+        throw forbidden('Only the owner can modify this document');
+      }
+    }
+    return document;
+  };
+
+  const withOwner = (req, data, current) => {
+    if (!ownerField) return data;
+    if (bypassesOwnership(req)) {
+      return data[ownerField] === undefined
+        ? { ...data, [ownerField]: current ? current[ownerField] : req.user.id }
+        : data;
+    }
+    assertAuthenticated(req);
+    return { ...data, [ownerField]: current ? current[ownerField] : req.user.id };
+  };
+
+  const deleteForWrite = async (req, id, document) => {
+    if (ownerField && !document) await findForWrite(req, id);
+    if (!(await adapter.delete(id))) throw notFound(id);
+    invalidate(id);
+  };
+
+  const createDocument = async (req, data) => {
+    const document = await adapter.create(assertValidDocument(withOwner(req, data)));
+    invalidate();
+    return document;
+  };
+
+  // Compared in JSON form: patched copies hold dates and ids as strings
+  const assertImmutableFields = (current, next) => {
+    const changed = IMMUTABLE_FIELDS.filter(field =>
+      field in next && JSON.stringify(next[field]) !== JSON.stringify(current[field])
+    );
+    if (changed.length > 0) {
+      throw unprocessable(`Fields cannot be modified: ${changed.join(', ')}`, { fields: changed });
+    }
+  };
+
+  // Computes the updated plain object for PATCH based on the body media type
+  const patchDocument = (current, req) => {
+    const contentType = req.is('application/json-patch+json')
+      ? 'json-patch'
+      : req.is('application/merge-patch+json') ? 'merge-patch' : 'partial';
+
+    if (contentType !== 'json-patch' && (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body))) {
+      throw unprocessable('Patch body must be a JSON object');
+    }
+
+    // Plain JSON is a partial update: the fields sent replace the stored ones,
+    // absent fields are kept and null is stored as null. Only merge patch removes fields.
+    const next = contentType === 'json-patch'
+      ? applyJsonPatch(current, req.body)
+      : contentType === 'merge-patch'
+        ? applyMergePatch(current, req.body)
+        : { ...current, ...Object.fromEntries(Object.entries(req.body).filter(([key]) => !POLLUTION_KEYS.has(key))) };
+
+    assertImmutableFields(current, next);
+    return next;
+  };
+
+  // Stores a patched or replacement object; the document may have been deleted meanwhile
+  const saveChanges = async (id, next) => {
+    const document = await adapter.update(id, assertValidDocument(next));
+    if (!document) throw notFound(id);
+    invalidate(id);
+    return document;
+  };
+
+  const assertBulkBody = (items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw unprocessable('Bulk body must be a non-empty array');
+    }
+    if (items.length > MAX_BULK_ITEMS) {
+      throw unprocessable(`Bulk requests are limited to ${MAX_BULK_ITEMS} items`);
+    }
+  };
+
+  // Runs one operation per item and reports each outcome instead of failing the batch
+  const runBulk = async (req, items, operation) => {
+    const results = [];
+    for (const [index, item] of items.entries()) {
+      try {
+        results.push({ index, ...(await operation(item)) });
+      } catch (error) {
+        const { status, body } = renderError(toHttpError(error), req);
+        results.push({ index, status, error: body });
+      }
+    }
+    return {
+      results,
+      summary: {
+        total: results.length,
+        succeeded: results.filter(result => result.status < 400).length,
+        failed: results.filter(result => result.status >= 400).length
+      }
+    };
+  };
+
+  const sendBulk = (res, outcome, successStatus = 200) => {
+    res.status(outcome.summary.failed > 0 ? 207 : successStatus).json(outcome);
+  };
+
+  // Keyset pagination: the cursor stores the sort values of the boundary document
+  const listWithCursor = async (req, { filter, sort, projection, limit }) => {
+    const position = req.query.cursor ? decodeCursor(req.query.cursor, sort) : null;
+    const direction = position?.direction || 'next';
+
+    // Walking backwards means querying with every sort direction flipped
+    const querySort = direction === 'next'
+      ? sort
+      : Object.fromEntries(Object.entries(sort).map(([field, order]) => [field, -order]));
+    const conditions = [filter];
+    if (position) conditions.push(buildKeysetCondition(sort, position.values, direction));
+
+    const documents = await adapter.find({
+      filter: { $and: conditions },
+      sort: querySort,
+      limit: limit + 1,
+      // Sort fields are always loaded so the boundary cursors can be built
+      projection: projection && { ...projection, ...Object.fromEntries(Object.keys(sort).map(field => [field, 1])) }
+    });
+
+    const hasMore = documents.length > limit;
+    const page = documents.slice(0, limit);
+    if (direction === 'prev') page.reverse();
+
+    const cursorFor = (document, nextDirection) => encodeCursor({
+      sort,
+      values: Object.keys(sort).map(field => getPath(document, field)),
+      direction: nextDirection
+    });
+    const hasNext = direction === 'next' ? hasMore : Boolean(position);
+    const hasPrev = direction === 'next' ? Boolean(position) : hasMore;
+    const links = {
+      next: hasNext && page.length > 0 ? buildPageLink(req, cursorFor(page[page.length - 1], 'next')) : null,
+      prev: hasPrev && page.length > 0 ? buildPageLink(req, cursorFor(page[0], 'prev')) : null
+    };
+
+    const linkHeader = Object.entries(links)
+      .filter(([, link]) => link)
+      .map(([rel, link]) => `<${link}>; rel="${rel}"`)
+      .join(', ');
+
+    return {
+      body: {
+        data: page,
+        pagination: { limit, ...links }
+      },
+      headers: linkHeader ? { Link: linkHeader } : {}
+    };
+  };
+
+  // GET: Retrieve all documents
+  // ?cursor selects keyset pagination (empty for the first page), otherwise page/limit
+  router.get('/', ...routeGuards('list'), asyncHandler(async (req, res) => {
+    if (sendCached(req, res, 'list')) return;
+
+    const listQuery = parseListQuery(req.query, adapter, listOptions);
+    if (req.query.cursor !== undefined) {
+      return sendRepresentation(req, res, 'list', { ...(await listWithCursor(req, listQuery)), tag: LIST_CACHE_TAG });
+    }
+
+    const { page = 1 } = req.query;
+    const results = await adapter.paginate(listQuery.filter, {
+      page: Math.max(parseInt(page, 10) || 1, 1),
+      limit: listQuery.limit,
+      sort: listQuery.sort,
+      projection: listQuery.projection
+    });
+
+    sendRepresentation(req, res, 'list', {
+      body: {
+        data: results.docs,
+        pagination: {
+          total: results.total,
+          page: results.page,
+          pages: results.pages
+        }
+      },
+      tag: LIST_CACHE_TAG
     });
-  }
-  next();
-};
+  }));
 
-/**
- * Performance logging middleware
- * Tracks request processing time and logs performance metrics
- */
-const performanceLogger = (req, res, next) => {
-  const start = Date.now();
+  // POST: Create new document
+  router.post('/', ...routeGuards('create'), asyncHandler(async (req, res) => {
+    const newItem = await createDocument(req, req.body);
+
+    res.status(201).set('ETag', documentETag(newItem)).json({
+      message: 'Document created successfully',
+      data: newItem
+    });
+  }));
+
+  // Bulk routes are registered before /:id so "bulk" is not taken for an id
+  // POST /bulk: Create many documents
+  router.post('/bulk', ...routeGuards('bulkCreate'), asyncHandler(async (req, res) => {
+    assertBulkBody(req.body);
+    const outcome = await runBulk(req, req.body, async (item) => {
+      const newItem = await createDocument(req, item);
+      return { status: 201, id: newItem._id, data: newItem };
+    });
+    sendBulk(res, outcome, 201);
+  }));
+
+  // PATCH /bulk: Partial update of many documents, body [{ id, changes }]
+  router.patch('/bulk', ...routeGuards('bulkPatch'), asyncHandler(async (req, res) => {
+    assertBulkBody(req.body);
+    const outcome = await runBulk(req, req.body, async ({ id, changes } = {}) => {
+      if (changes === null || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw unprocessable('Each item needs an id and a changes object');
+      }
+      const document = await findForWrite(req, id);
+      const next = applyMergePatch(document, changes);
+      assertImmutableFields(document, next);
+      return { status: 200, id, data: await saveChanges(id, withOwner(req, next, document)) };
+    });
+    sendBulk(res, outcome);
+  }));
+
+  // DELETE /bulk: Delete many documents, body { ids: [...] }
+  router.delete('/bulk', ...routeGuards('bulkDelete'), asyncHandler(async (req, res) => {
+    const ids = req.body?.ids;
+    assertBulkBody(ids);
+    const outcome = await runBulk(req, ids, async (id) => {
+      await deleteForWrite(req, id);
+      return { status: 204, id };
+    });
+    sendBulk(res, outcome);
+  }));
+
+  // GET /:id: Retrieve one document
+  router.get('/:id', ...routeGuards('read'), asyncHandler(async (req, res) => {
+    if (sendCached(req, res, 'read')) return;
 
-  // Log request duration when response finishes
-  res.on('finish', () => {
-    const duration = Date.now() - start;
-    console.log(`[PERF] ${req.method} ${req.path} - ${duration}ms`);
+    const document = await findOrFail(req.params.id);
+    sendRepresentation(req, res, 'read', {
+      body: { data: document },
+      etag: documentETag(document),
+      tag: req.params.id
+    });
+  }));
 
-    // Log slow requests
-    if (duration > 100) {
-      console.warn(`[SLOW_REQUEST] ${req.method} ${req.path} took ${duration}ms`);
+  // PUT /:id: Replace a document
+  router.put('/:id', ...routeGuards('replace'), asyncHandler(async (req, res) => {
+    if (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      throw unprocessable('Request body must be a JSON object');
     }
-  });
+    const document = await findForWrite(req, req.params.id);
+    assertIfMatch(req, document);
+    assertImmutableFields(document, req.body);
+    const replaced = await saveChanges(req.params.id, withOwner(req, req.body, document));
 
-  next();
+    res.set('ETag', documentETag(replaced)).json({
+      message: 'Document replaced successfully',
+      data: replaced
+    });
+  }));
+
+  // PATCH /:id: Partial update (application/json), JSON Merge Patch or JSON Patch
+  router.patch('/:id', ...routeGuards('patch'), asyncHandler(async (req, res) => {
+    const document = await findForWrite(req, req.params.id);
+    assertIfMatch(req, document);
+    const updated = await saveChanges(req.params.id, withOwner(req, patchDocument(document, req), document));
+
+    res.set('ETag', documentETag(updated)).json({
+      message: 'Document updated successfully',
+      data: updated
+    });
+  }));
+
+  // DELETE /:id: Remove a document
+  router.delete('/:id', ...routeGuards('delete'), asyncHandler(async (req, res) => {
+    const document = await findForWrite(req, req.params.id);
+    assertIfMatch(req, document);
+    await deleteForWrite(req, req.params.id, document);
+    res.status(204).end();
+  }));
+
+  return router;
 };
 
+// 3. Centralized Error Handling
+// Problem type URIs are PROBLEM_TYPE_BASE plus the slug of the title, e.g. /problems/not-found
+const PROBLEM_TYPE_BASE = '/problems/';
+const PROBLEM_MEMBERS = ['type', 'title', 'status', 'detail', 'instance'];
+
 /**
- * Request sanitization middleware
- * Cleans and validates incoming request data
+ * Translates any error into an HttpError from the catalog
+ * Covers Mongoose validation and cast errors, MongoDB duplicate keys, express-jwt
+ * and body-parser errors. Anything else is a 500 whose message is hidden in production.
+ * Shared by globalErrorHandler and the per-item results of bulk routes.
  */
-const sanitizeRequest = (req, res, next) => {
-  // Deep sanitization of request body
-  if (req.body) {
-    req.body = Object.keys(req.body).reduce((acc, key) => {
-      // Trim string values, leave other types unchanged
-      acc[key] = typeof req.body[key] === 'string' 
-        ? req.body[key].trim()
-        : req.body[key];
-      return acc;
-    }, {});
+const toHttpError = (err) => {
+  switch (true) {
+    case err instanceof HttpError:
+      return err;
+
+    case err.name === 'ValidationError':
+      return new ValidationError(err.message, {
+        errors: Object.values(err.errors || {}).map(error => ({
+          path: error.path,
+          message: error.message,
+          kind: error.kind
+        }))
+      });
+
+    case err.name === 'CastError':
+      return new BadRequestError(`Invalid value for ${err.path}`, { path: err.path });
+
+    // MongoDB duplicate key
+    case err.code === 11000:
+      return new ConflictError('A document with the same unique fields already exists', {
+        duplicateKey: err.keyValue
+      });
+
+    // Mongoose optimistic concurrency
+    case err.name === 'VersionError':
+      return new ConflictError('The document was modified by another request');
+
+    case err.name === 'UnauthorizedError':
+      return new AuthenticationError('Invalid or expired token', 'invalid_token');
+
+    // Malformed JSON from express.json()
+    case err.type === 'entity.parse.failed':
+      return new BadRequestError('Request body is not valid JSON');
+
+    case err.type === 'entity.too.large':
+      return new PayloadTooLargeError();
+
+    // Other client errors raised by Express and body-parser (http-errors)
+    case err.expose === true && err.status >= 400 && err.status < 500:
+      return new HttpError(err.status, http.STATUS_CODES[err.status], err.message);
+
+    default:
+      return new HttpError(500, 'Internal Server Error', process.env.NODE_ENV === 'production'
+        ? 'An unexpected error occurred'
+        : err.message);
   }
-  next();
 };
 
-// 2. Dynamic Router Generation
+// Clients that prefer application/json over application/problem+json get the legacy shape
+const prefersLegacyErrors = (req) =>
+  req.accepts(['application/problem+json', 'application/json']) === 'application/json';
+
 /**
- * Creates a dynamic CRUD router for any Mongoose model
- * @param {mongoose.Model} model - Mongoose model for routing
- * @returns {express.Router} Configured router with CRUD operations
+ * Renders an HttpError as problem details or in the legacy { type, message, details } shape
+ * @param {HttpError} error
+ * @param {express.Request} req
+ * @param {string} [format='negotiate'] - 'negotiate', 'problem' or 'legacy'
+ * @returns {{status: number, headers: Object, contentType: string, body: Object}}
  */
-const createDynamicRouter = (model) => {
-  const router = express.Router();
+const renderError = (error, req, format = 'negotiate') => {
+  const legacy = format === 'legacy' || (format === 'negotiate' && prefersLegacyErrors(req));
+  const { status, title, message, details } = error;
 
-  // GET: Retrieve all documents
-  router.get('/', async (req, res) => {
-    try {
-      const { 
-        page = 1, 
-        limit = 10, 
-        sort = 'createdAt', 
-        order = 'desc' 
-      } = req.query;
-
-      const options = {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        sort: { [sort]: order === 'desc' ? -1 : 1 }
-      };
+  if (legacy) {
+    return {
+      status,
+      headers: error.headers,
+      contentType: 'application/json',
+      body: {
+        type: title,
+        message,
+        ...(details && { details })
+      }
+    };
+  }
 
-      const results = await model.paginate({}, options);
+  // Plain-object details become extension members unless they would shadow a standard member
+  const extensions = details && typeof details === 'object' && !Array.isArray(details)
+    && !PROBLEM_MEMBERS.some(member => member in details)
+    ? details
+    : details !== undefined ? { details } : {};
 
-      res.json({
-        data: results.docs,
-        pagination: {
-          total: results.total,
-          page: results.page,
-          pages: results.pages
-        }
-      });
-    } catch (error) {
-      res.status(500).json({ 
-        error: 'Internal Server Error', 
-        message: error.message 
-      });
+  return {
+    status,
+    headers: error.headers,
+    contentType: 'application/problem+json',
+    body: {
+      type: `${PROBLEM_TYPE_BASE}${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+      title,
+      status,
+      detail: message,
+      instance: req.originalUrl,
+      ...extensions
     }
-  });
+  };
+};
 
-  // POST: Create new document
-  router.post('/', async (req, res) => {
-    try {
-      const newItem = new model(req.body);
-      await newItem.save();
-      
-      res.status(201).json({
-        message: 'Document created successfully',
-        data: newItem
-      });
-    } catch (error) {
-      res.status(400).json({ 
-        error: 'Validation Failed', 
-        details: error.errors 
-      });
+/**
+ * Creates the error handler middleware
+ * Responds with application/problem+json (RFC 7807) unless the client prefers
+ * application/json, which gets the legacy { timestamp, path, type, message, details } shape.
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Structured logger, see createLogger
+ * @param {string} [options.format='negotiate'] - 'negotiate', 'problem' or 'legacy'
+ */
+const createErrorHandler = (options = {}) => {
+  const { logger: log = logger, format = 'negotiate' } = options;
+
+  return (err, req, res, next) => {
+    const error = toHttpError(err);
+    const { status, headers, contentType, body } = renderError(error, req, format);
+
+    // Server errors carry the stack; client errors are logged for tracking only
+    if (status >= 500) {
+      log.error('request failed', { status, err });
+    } else {
+      log.warn('request rejected', { status, title: error.title, message: error.message });
     }
-  });
 
-  return router;
+    if (res.headersSent) {
+      return next(err);
+    }
+    if (headers) res.set(headers);
+    res.status(status).type(contentType).send(JSON.stringify(contentType === 'application/json'
+      ? {
+        timestamp: new Date().toISOString(),
+        path: req.path,
+        ...(req.id && { requestId: req.id }),
+        ...body
+      }
+      : {
+        ...body,
+        ...(req.id && { requestId: req.id }),
+        timestamp: new Date().toISOString()
+      }));
+  };
 };
 
-// 3. Centralized Error Handling
 /**
  * Global error handler middleware
  * Provides consistent error responses across the application
  */
-const globalErrorHandler = (err, req, res, next) => {
-  // Log the error for internal tracking
-  console.error('[ERROR]', err);
+const globalErrorHandler = createErrorHandler();
+
+// 4. Passive JWT Scanning
+/**
+ * Creates a middleware that scans bearer tokens with JWTSecurityScanner
+ * Passive by default: scans run after the request is passed on and only
+ * feed the aggregated findings. With blockHighRisk, uncached tokens are
+ * scanned before the request continues and HIGH risk tokens get a 401.
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate=1] - Share of uncached tokens to scan (0-1), ignored when blocking
+ * @param {boolean} [options.blockHighRisk=false] - Reject tokens with HIGH severity issues
+ * @param {number} [options.cacheSize=1000] - Scan results kept, keyed by token hash
+ * @param {number} [options.cacheTtlMs=600000] - How long a scan result is reused
+ * @param {number} [options.maxTrackedTokens=1000] - Distinct tokens counted per finding;
+ *   past it the count is reported as a lower bound
+ * @param {Object} [options.scanOptions] - Options passed to JWTSecurityScanner
+ * @returns {Function} Middleware with getFindings(), reset() and findingsHandler
+ */
+const createJwtScanMiddleware = (options = {}) => {
+  const {
+    sampleRate = 1,
+    blockHighRisk = false,
+    cacheSize = 1000,
+    cacheTtlMs = 10 * 60 * 1000,
+    maxTrackedTokens = 1000,
+    scanOptions = {},
+    logger: log = logger
+  } = options;
 
-  // Determine error type and respond accordingly
-  const errorResponse = {
-    timestamp: new Date().toISOString(),
-    path: req.path
+  const cache = createLruCache({ max: cacheSize, ttlMs: cacheTtlMs });
+  const pending = new Map();
+  let findings = new Map();
+  let stats = { requests: 0, scanned: 0, cacheHits: 0, sampledOut: 0, blocked: 0, failures: 0 };
+
+  const recordFindings = (hash, report, route) => {
+    report.issues.forEach(issue => {
+      if (!findings.has(issue.ruleId)) {
+        findings.set(issue.ruleId, {
+          ruleId: issue.ruleId,
+          title: issue.title,
+          severity: issue.severity,
+          occurrences: 0,
+          tokens: new Set(),
+          tokensCapped: false,
+          routes: {},
+          lastSeen: null
+        });
+      }
+      const finding = findings.get(issue.ruleId);
+      finding.occurrences++;
+      const tokenId = hash.slice(0, 12);
+      if (finding.tokens.size < maxTrackedTokens) {
+        finding.tokens.add(tokenId);
+      } else if (!finding.tokens.has(tokenId)) {
+        finding.tokensCapped = true;
+      }
+      finding.routes[route] = (finding.routes[route] || 0) + 1;
+      finding.lastSeen = new Date().toISOString();
+    });
   };
 
-  switch (true) {
-    case err.name === 'ValidationError':
-      res.status(400).json({
-        ...errorResponse,
-        type: 'Validation Error',
-        message: err.message,
-        details: err.errors
-      });
-      break;
+  const scanToken = (token, hash) => {
+    if (!pending.has(hash)) {
+      const scan = new JWTSecurityScanner(token, scanOptions).scan()
+        .then(report => {
+          stats.scanned++;
+          cache.set(hash, report);
+          return report;
+        })
+        .finally(() => pending.delete(hash));
+      pending.set(hash, scan);
+    }
+    return pending.get(hash);
+  };
 
-    case err.name === 'UnauthorizedError':
-      res.status(401).json({
-        ...errorResponse,
-        type: 'Authentication Error',
-        message: 'Invalid or expired token'
-      });
-      break;
+  const isHighRisk = (report) => report.summary.highSeverity > 0;
 
-    default:
-      res.status(500).json({
-        ...errorResponse,
-        type: 'Internal Server Error',
-        message: process.env.NODE_ENV === 'production' 
-          ? 'An unexpected error occurred' 
-          : err.message
+  // Findings are keyed by route template (GET /products/:id), never the raw path,
+  // so the routes table stays bounded. Express only knows the template once the
+  // request was routed, so findings are recorded when the response is done.
+  const routeOf = (req, context) => {
+    const template = context?.route || (req.route ? joinRoute(req.baseUrl, req.route.path) : UNMATCHED_ROUTE);
+    return `${req.method} ${template}`;
+  };
+  const responseDone = (res) => (res.writableFinished || res.destroyed
+    ? Promise.resolve()
+    : new Promise(resolve => {
+      res.once('finish', resolve);
+      res.once('close', resolve);
+    }));
+
+  const reject = (next) => next(unauthorized('Token rejected by security policy', 'invalid_token'));
+
+  const middleware = (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (!/^bearer$/i.test(scheme) || !token) return next();
+
+    stats.requests++;
+    const hash = crypto.createHash('sha256').update(token).digest('hex');
+    const context = getRequestContext();
+    const record = (report) => responseDone(res).then(() => recordFindings(hash, report, routeOf(req, context)));
+
+    const cached = cache.get(hash);
+    if (cached) {
+      stats.cacheHits++;
+      record(cached);
+      if (blockHighRisk && isHighRisk(cached)) {
+        stats.blocked++;
+        return reject(next);
+      }
+      return next();
+    }
+
+    if (blockHighRisk) {
+      return scanToken(token, hash)
+        .then(report => {
+          record(report);
+          if (isHighRisk(report)) {
+            stats.blocked++;
+            return reject(next);
+          }
+          next();
+        })
+        .catch(error => {
+          // Fail open: a scanner bug must not take the API down
+          stats.failures++;
+          log.error('jwt scan failed', { err: error });
+          next();
+        });
+    }
+
+    if (Math.random() >= sampleRate) {
+      stats.sampledOut++;
+      return next();
+    }
+
+    next();
+    scanToken(token, hash)
+      .then(record)
+      .catch(error => {
+        stats.failures++;
+        log.error('jwt scan failed', { err: error });
       });
+  };
+
+  middleware.getFindings = () => ({
+    generatedAt: new Date().toISOString(),
+    stats: { ...stats, cachedTokens: cache.size },
+    findings: [...findings.values()]
+      .map(({ tokens, tokensCapped, ...finding }) => ({
+        ...finding,
+        distinctTokens: tokens.size,
+        ...(tokensCapped && { distinctTokensIsLowerBound: true })
+      }))
+      .sort((a, b) => b.occurrences - a.occurrences)
+  });
+
+  middleware.reset = () => {
+    cache.clear();
+    findings = new Map();
+    stats = { requests: 0, scanned: 0, cacheHits: 0, sampledOut: 0, blocked: 0, failures: 0 };
+  };
+
+  // Admin route handler exposing the aggregated findings
+  middleware.findingsHandler = (req, res) => res.json(middleware.getFindings());
+
+  return middleware;
+};
+
+// 5. Application Configuration
+// Example resources: Mongoose model name, in-memory field definitions, router options
+// and the access rules applied when authentication is configured
+const EXAMPLE_RESOURCES = {
+  users: {
+    model: 'User',
+    fields: {
+      name: { type: 'String', required: true },
+      email: { type: 'String', required: true, unique: true },
+      role: { type: 'String' }
+    },
+    router: {
+      filterable: ['role', 'createdAt'],
+      searchable: ['name', 'email'],
+      selectable: ['_id', 'name', 'email', 'role', 'createdAt'],
+      schema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          email: { type: 'string', format: 'email' },
+          role: { type: 'string', enum: ['user', 'admin'], default: 'user' }
+        },
+        required: ['name', 'email'],
+        additionalProperties: false
+      }
+    },
+    access: {
+      permissions: { read: 'users:read', write: 'users:admin' }
+    }
+  },
+  products: {
+    model: 'Product',
+    fields: {
+      name: { type: 'String', required: true },
+      description: { type: 'String' },
+      price: { type: 'Number', required: true },
+      category: { type: 'String' },
+      inStock: { type: 'Boolean' },
+      ownerId: { type: 'String' }
+    },
+    router: {
+      filterable: ['price', 'category', 'inStock', 'createdAt'],
+      sortable: ['price', 'name', 'createdAt'],
+      searchable: ['name', 'description'],
+      cacheControl: { list: 'public, max-age=30', read: 'public, max-age=60' },
+      responseCache: { max: 500, ttlMs: 30 * 1000 },
+      schema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 200 },
+          description: { type: 'string', maxLength: 5000 },
+          price: { type: 'number', minimum: 0 },
+          category: { type: 'string', maxLength: 100 },
+          inStock: { type: 'boolean', default: true },
+          ownerId: { type: 'string' }
+        },
+        required: ['name', 'price'],
+        additionalProperties: false
+      },
+      validate: {
+        list: {
+          query: {
+            type: 'object',
+            properties: {
+              page: { type: 'integer', minimum: 1 },
+              limit: { type: 'integer', minimum: 1, maximum: 100 }
+            }
+          }
+        }
+      }
+    },
+    access: {
+      permissions: { read: null, write: 'products:write' },
+      ownership: { field: 'ownerId', bypass: 'products:admin' }
+    }
   }
 };
 
-// 4. Application Configuration
-const createExpressApp = () => {
+/**
+ * Builds the Express application
+ * @param {Object} [options]
+ * @param {string} [options.storage='mongoose'] - 'mongoose' or 'memory' (runs without a database)
+ * @param {string} [options.mongoUri] - Defaults to MONGODB_URI
+ * @param {Object} [options.adapters] - Storage adapter per resource, e.g. { users, products }
+ * @param {string} [options.bodyLimit='100kb'] - Maximum request body size
+ * @param {Object} [options.sanitize] - Sanitizer limits, see createSanitizer
+ * @param {Object} [options.auth] - Bearer JWT authentication, see createAuthenticator; also turns
+ *   on the permission and ownership rules of the example resources
+ * @param {Object|false} [options.rateLimit] - Options for createRateLimiter; false disables limiting
+ * @param {Object|false} [options.idempotency] - Options for createIdempotencyMiddleware; false disables it
+ * @param {Object} [options.logger] - Structured logger shared by every middleware, see createLogger
+ * @param {Object|false} [options.metrics] - Options for createPerformanceMonitor, plus
+ *   path (default '/metrics') and middleware guarding it; false disables the route
+ * @param {Object} [options.jwtScan] - Enables passive JWT scanning, see createJwtScanMiddleware;
+ *   also accepts adminPath (default '/admin/jwt-findings', false to skip the route) and
+ *   adminMiddleware guarding it (default requirePermissions('admin'), required without auth)
+ * @returns {express.Application} Configured application
+ */
+const createExpressApp = (options = {}) => {
   const app = express();
+  const log = options.logger || logger;
+  const { path: metricsPath = '/metrics', middleware: metricsMiddleware = [], ...monitorOptions } = options.metrics || {};
+  const performanceMonitor = createPerformanceMonitor({ logger: log, ...monitorOptions });
+
+  // filter[price][gte]=10 and the other list parameters are nested (qs syntax);
+  // Express 5 parses query strings flat by default
+  app.set('query parser', 'extended');
+
+  // Request context comes first so every log line carries the request id,
+  // then performance monitoring so every request is timed
+  app.use(requestContextMiddleware);
+  app.use(performanceMonitor);
+  if (options.metrics !== false && metricsPath) {
+    app.get(metricsPath, ...metricsMiddleware, performanceMonitor.metricsHandler);
+  }
 
   // Security middleware
   app.use(helmet());
   
-  // Parsing middlewares
-  app.use(express.json());
-  app.use(express.urlencoded({ extended: true }));
+  // Parsing middlewares (JSON Patch and Merge Patch bodies are JSON too)
+  app.use(express.json({
+    type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json'],
+    limit: options.bodyLimit || '100kb'
+  }));
+  app.use(express.urlencoded({ extended: true, limit: options.bodyLimit || '100kb' }));
 
   // Custom middlewares
-  app.use(performanceLogger);
-  app.use(sanitizeRequest);
+  app.use(createSanitizer({ logger: log, ...options.sanitize }));
+
+  // Passive JWT scanning (opt-in)
+  let jwtScanner;
+  const {
+    adminPath = '/admin/jwt-findings',
+    adminMiddleware = options.auth ? [requirePermissions('admin')] : undefined,
+    ...scanMiddlewareOptions
+  } = options.jwtScan || {};
+  if (options.jwtScan) {
+    // The findings list which routes accept weak tokens, so the route is never left open
+    if (adminPath && !adminMiddleware?.length) {
+      throw new Error('jwtScan.adminMiddleware is required without auth; set adminPath: false to skip the findings route');
+    }
+    jwtScanner = createJwtScanMiddleware({ logger: log, ...scanMiddlewareOptions });
+    app.use(jwtScanner);
+  }
+
+  // Authentication populates req.user; routes decide what they require
+  if (options.auth) {
+    app.use(createAuthenticator(options.auth));
+  }
+
+  // Mounted after authentication so the guard sees req.user
+  if (jwtScanner && adminPath) {
+    app.get(adminPath, ...adminMiddleware, jwtScanner.findingsHandler);
+  }
+
+  // Rate limiting runs after authentication so policies can key on the user
+  if (options.rateLimit !== false) {
+    const rateLimiter = createRateLimiter({ logger: log, ...options.rateLimit });
+    app.use(rateLimiter);
+    app.locals.rateLimiter = rateLimiter;
+  }
+
+  // Idempotency-Key replays are scoped per user, so this also runs after authentication
+  if (options.idempotency !== false) {
+    app.use(createIdempotencyMiddleware({ logger: log, ...options.idempotency }));
+  }
+
+  // Storage: explicit adapters win, otherwise one adapter per resource for the chosen backend
+  const { storage = 'mongoose', adapters = {} } = options;
+  if (!['mongoose', 'memory'].includes(storage)) {
+    throw new Error(`Unknown storage: ${storage}`);
+  }
+  const needsDatabase = storage === 'mongoose'
+    && Object.keys(EXAMPLE_RESOURCES).some(name => !adapters[name]);
 
   // Database connection
-  mongoose.connect(process.env.MONGODB_URI, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true
-  });
+  if (needsDatabase) {
+    mongoose.connect(options.mongoUri || process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+  }
 
   // Example route registrations
-  const User = mongoose.model('User');
-  const Product = mongoose.model('Product');
+  Object.entries(EXAMPLE_RESOURCES).forEach(([name, resource]) => {
+    const adapter = adapters[name] || (storage === 'memory'
+      ? createMemoryAdapter({ fields: resource.fields })
+      : createMongooseAdapter(mongoose.model(resource.model)));
+    app.use(`/${name}`, createDynamicRouter(adapter, {
+      ...resource.router,
+      ...(options.auth && resource.access)
+    }));
+  });
 
-  app.use('/users', createDynamicRouter(User));
-  app.use('/products', createDynamicRouter(Product));
+  // Unknown routes get problem details too, not Express's HTML page
+  app.use((req, res, next) => next(new NotFoundError(`No route for ${req.method} ${req.path}`)));
 
   // Global error handler (must be last middleware)
-  app.use(globalErrorHandler);
+  app.use(createErrorHandler({ logger: log }));
 
   return app;
 };
 
-// 5. Advanced Rate Limiting and Security
-const rateLimit = require('express-rate-limit');
+// 6. Advanced Rate Limiting and Security
+/**
+ * In-memory fixed-window store for express-rate-limit
+ * Implements the Store interface: init, get, increment, decrement, resetKey, resetAll, shutdown.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.hits = new Map();
+    this.localKeys = true;
+  }
 
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per window
-  message: 'Too many requests, please try again later',
-  standardHeaders: true, // Return rate limit info in RateLimit-* headers
-  legacyHeaders: false, // Disable X-RateLimit-* headers
-});
+  init(options) {
+    this.windowMs = options.windowMs;
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = setInterval(() => this.prune(), this.windowMs);
+    this.pruneTimer.unref();
+  }
+
+  prune(now = Date.now()) {
+    this.hits.forEach((entry, key) => {
+      if (entry.resetTime <= now) this.hits.delete(key);
+    });
+  }
+
+  // Entry of the current window, undefined once the window has passed
+  current(key, now = Date.now()) {
+    const entry = this.hits.get(key);
+    return entry && entry.resetTime > now ? entry : undefined;
+  }
+
+  // Called after every change; persistent stores override it
+  changed() {}
+
+  async get(key) {
+    const entry = this.current(key);
+    return entry && { totalHits: entry.totalHits, resetTime: new Date(entry.resetTime) };
+  }
+
+  async increment(key) {
+    const now = Date.now();
+    let entry = this.current(key, now);
+    if (!entry) {
+      entry = { totalHits: 0, resetTime: now + this.windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.totalHits++;
+    this.changed();
+    return { totalHits: entry.totalHits, resetTime: new Date(entry.resetTime) };
+  }
+
+  async decrement(key) {
+    const entry = this.current(key);
+    if (entry && entry.totalHits > 0) {
+      entry.totalHits--;
+      this.changed();
+    }
+  }
+
+  async resetKey(key) {
+    this.hits.delete(key);
+    this.changed();
+  }
+
+  async resetAll() {
+    this.hits.clear();
+    this.changed();
+  }
+
+  shutdown() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+/**
+ * File-backed store: counters survive restarts
+ * Writes are batched every flushIntervalMs and replace the file atomically.
+ * The file belongs to one process; it is not a shared store for a cluster.
+ */
+class FileRateLimitStore extends MemoryRateLimitStore {
+  constructor(options = {}) {
+    super();
+    if (!options.path) {
+      throw new Error('FileRateLimitStore needs a path');
+    }
+    this.path = options.path;
+    this.flushIntervalMs = options.flushIntervalMs ?? 1000;
+    this.logger = options.logger || logger;
+  }
+
+  init(options) {
+    super.init(options);
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      const now = Date.now();
+      Object.entries(saved).forEach(([key, entry]) => {
+        if (entry.resetTime > now) this.hits.set(key, entry);
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('rate limit store could not be loaded', { path: this.path, err: error });
+      }
+    }
+  }
+
+  changed() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => this.logger.error('rate limit store could not be saved', { path: this.path, err: error }));
+    }, this.flushIntervalMs);
+    this.flushTimer.unref();
+  }
+
+  snapshot() {
+    this.prune();
+    return JSON.stringify(Object.fromEntries(this.hits));
+  }
+
+  async flush() {
+    const temporary = `${this.path}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, this.snapshot());
+    await fs.promises.rename(temporary, this.path);
+  }
+
+  shutdown() {
+    super.shutdown();
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    const temporary = `${this.path}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, this.snapshot());
+    fs.renameSync(temporary, this.path);
+  }
+}
+
+// The original single limit (100 per 15 minutes) plus a stricter one for writes
+const DEFAULT_RATE_LIMIT_POLICIES = [
+  { name: 'default', windowMs: 15 * 60 * 1000, limit: 100, key: 'user' },
+  { name: 'writes', windowMs: 60 * 1000, limit: 20, key: 'user', methods: ['POST', 'PUT', 'PATCH', 'DELETE'] }
+];
+
+const hashKey = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+
+// Client keys: 'user' and 'apiKey' fall back to the IP for anonymous requests
+const RATE_LIMIT_KEYS = {
+  ip: (req) => `ip:${ipKeyGenerator(req.ip)}`,
+  user: (req) => (req.user?.id ? `user:${req.user.id}` : RATE_LIMIT_KEYS.ip(req)),
+  apiKey: (req) => {
+    const apiKey = req.get('x-api-key');
+    return apiKey ? `key:${hashKey(apiKey)}` : RATE_LIMIT_KEYS.ip(req);
+  }
+};
+
+/**
+ * Creates the policy-based rate limiting middleware
+ * Every policy matching a request counts it; the first exhausted policy answers 429
+ * with Retry-After. Each policy reports itself in the RateLimit and RateLimit-Policy
+ * headers (IETF draft 8), so clients see every limit that applies.
+ * @param {Object} [options]
+ * @param {Object[]} [options.policies] - { name, windowMs, limit, key, methods, paths, message };
+ *   key is 'ip', 'user', 'apiKey' or a function (req) => string, paths are path prefixes
+ * @param {string|Function} [options.store='memory'] - 'memory', 'file' or (policy) => Store
+ * @param {string} [options.directory] - Directory for 'file' stores, one file per policy
+ * @param {Object} [options.logger] - Structured logger, see createLogger
+ * @returns {Function} Express middleware with stores and shutdown()
+ */
+const createRateLimiter = (options = {}) => {
+  const {
+    policies = DEFAULT_RATE_LIMIT_POLICIES,
+    store = 'memory',
+    directory = process.cwd(),
+    logger: log = logger
+  } = options;
+
+  const createStore = (policy) => {
+    if (typeof store === 'function') return store(policy);
+    if (store === 'file') {
+      return new FileRateLimitStore({ path: `${directory}/rate-limit-${policy.name}.json`, logger: log });
+    }
+    if (store === 'memory') return new MemoryRateLimitStore();
+    throw new Error(`Unknown rate limit store: ${store}`);
+  };
+
+  const stores = [];
+  const limiters = policies.map(policy => {
+    if (!policy.name || !policy.windowMs || !policy.limit) {
+      throw new Error('Rate limit policies need a name, windowMs and limit');
+    }
+    const keyFor = typeof policy.key === 'function' ? policy.key : RATE_LIMIT_KEYS[policy.key || 'ip'];
+    if (!keyFor) {
+      throw new Error(`Unknown rate limit key: ${policy.key}`);
+    }
+    const methods = policy.methods && policy.methods.map(method => method.toUpperCase());
+    const applies = (req) =>
+      (!methods || methods.includes(req.method))
+      && (!policy.paths || policy.paths.some(path => req.path.startsWith(path)));
+
+    const policyStore = createStore(policy);
+    stores.push(policyStore);
+
+    return rateLimit({
+      windowMs: policy.windowMs,
+      limit: policy.limit,
+      identifier: policy.name,
+      standardHeaders: 'draft-8',
+      legacyHeaders: false,
+      store: policyStore,
+      keyGenerator: keyFor,
+      skip: (req) => !applies(req),
+      handler: (req, res, next) => {
+        const retryAfter = Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 1);
+        log.warn('rate limit exceeded', { policy: policy.name, limit: policy.limit });
+        next(new RateLimitedError(policy.message, retryAfter));
+      }
+    });
+  });
+
+  // Runs the policy limiters one after another
+  const middleware = (req, res, next) => {
+    let index = 0;
+    const step = (error) => {
+      if (error || index === limiters.length) return next(error);
+      limiters[index++](req, res, step);
+    };
+    step();
+  };
+
+  middleware.stores = stores;
+  middleware.shutdown = () => stores.forEach(policyStore => policyStore.shutdown?.());
+
+  return middleware;
+};
+
+// 7. Idempotency Keys
+/**
+ * In-memory idempotency record store
+ * Store interface (async): get(key), create(key, record, ttlMs) -> false when the key
+ * already exists, update(key, record, ttlMs), delete(key). create must be atomic
+ * for the in-flight duplicate check to hold.
+ * Holds at most max records (default 10000); the least recently used is evicted first.
+ */
+class MemoryIdempotencyStore {
+  constructor(options = {}) {
+    this.records = createLruCache({ max: options.max ?? 10000 });
+    this.pruneTimer = setInterval(() => this.prune(), options.pruneIntervalMs ?? 60 * 1000);
+    this.pruneTimer.unref();
+  }
+
+  prune(now = Date.now()) {
+    this.records.prune(now);
+  }
+
+  async get(key) {
+    return this.records.get(key);
+  }
+
+  async create(key, record, ttlMs) {
+    if (this.records.has(key)) return false;
+    this.records.set(key, record, ttlMs);
+    return true;
+  }
+
+  async update(key, record, ttlMs) {
+    this.records.set(key, record, ttlMs);
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  shutdown() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+// Headers worth replaying; request ids, rate limit and cookies belong to the new request
+const REPLAYED_HEADERS = ['content-type', 'location', 'etag', 'link', 'cache-control'];
+
+/**
+ * Creates the Idempotency-Key middleware
+ * The first response to a key (per user) is stored and replayed, with
+ * Idempotent-Replayed: true, for retries carrying the same key and payload.
+ * A retry while the first request is still running gets 409, reusing a key for
+ * a different request gets 422. 5xx and 429 responses are not stored, so those
+ * requests can be retried with the same key.
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Defaults to a MemoryIdempotencyStore
+ * @param {number} [options.ttlMs=86400000] - How long responses are replayed
+ * @param {number} [options.lockTtlMs=60000] - How long an unfinished request holds its key
+ * @param {string[]} [options.methods=['POST', 'PATCH']]
+ * @param {boolean} [options.required=false] - Reject those methods without the header (400)
+ * @returns {Function} Express middleware
+ */
+const createIdempotencyMiddleware = (options = {}) => {
+  const {
+    store = new MemoryIdempotencyStore(),
+    ttlMs = 24 * 60 * 60 * 1000,
+    lockTtlMs = 60 * 1000,
+    methods = ['POST', 'PATCH'],
+    required = false,
+    logger: log = logger
+  } = options;
+
+  // Same method, URL and body; the body is already parsed and sanitized
+  const fingerprintOf = (req) => crypto.createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl, req.body ?? null]))
+    .digest('hex');
+
+  const replay = (res, record) => {
+    REPLAYED_HEADERS
+      .filter(name => record.headers[name] !== undefined)
+      .forEach(name => res.set(name, record.headers[name]));
+    res.set('Idempotent-Replayed', 'true');
+    res.status(record.status).end(Buffer.from(record.body, 'base64'));
+  };
+
+  // Collects the response body as it is written
+  const captureBody = (res) => {
+    const chunks = [];
+    const { write, end } = res;
+    const collect = (chunk, encoding) => {
+      if (chunk && typeof chunk !== 'function') {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+      }
+    };
+    res.write = function (chunk, encoding, callback) {
+      collect(chunk, encoding);
+      return write.call(this, chunk, encoding, callback);
+    };
+    res.end = function (chunk, encoding, callback) {
+      collect(chunk, encoding);
+      return end.call(this, chunk, encoding, callback);
+    };
+    return () => Buffer.concat(chunks);
+  };
+
+  const handleExisting = (req, res, next, record, fingerprint) => {
+    if (record.fingerprint !== fingerprint) {
+      return next(unprocessable('Idempotency-Key was already used with a different request'));
+    }
+    if (record.state === 'in-flight') {
+      return next(conflict('A request with this Idempotency-Key is still being processed'));
+    }
+    replay(res, record);
+  };
+
+  return async (req, res, next) => {
+    if (!methods.includes(req.method)) return next();
+
+    const idempotencyKey = req.get('idempotency-key');
+    if (!idempotencyKey) {
+      return next(required ? new BadRequestError('Idempotency-Key header is required') : undefined);
+    }
+    if (!IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+      return next(new BadRequestError('Idempotency-Key must be 1 to 255 visible ASCII characters'));
+    }
+
+    try {
+      const owner = req.user?.id ? `user:${req.user.id}` : `ip:${req.ip}`;
+      const storeKey = crypto.createHash('sha256').update(`${owner}\n${idempotencyKey}`).digest('hex');
+      const fingerprint = fingerprintOf(req);
+
+      const existing = await store.get(storeKey);
+      if (existing) return handleExisting(req, res, next, existing, fingerprint);
+
+      // Lost a race with a concurrent duplicate
+      if (!(await store.create(storeKey, { state: 'in-flight', fingerprint }, lockTtlMs))) {
+        const current = await store.get(storeKey);
+        return current
+          ? handleExisting(req, res, next, current, fingerprint)
+          : next(conflict('A request with this Idempotency-Key is still being processed'));
+      }
+
+      const responseBody = captureBody(res);
+      let settled = false;
+      const settle = (finished) => {
+        if (settled) return;
+        settled = true;
+
+        const retryable = !finished || res.statusCode >= 500 || res.statusCode === 429;
+        const saved = retryable
+          ? store.delete(storeKey)
+          : store.update(storeKey, {
+            state: 'completed',
+            fingerprint,
+            status: res.statusCode,
+            headers: Object.fromEntries(REPLAYED_HEADERS
+              .filter(name => res.getHeader(name) !== undefined)
+              .map(name => [name, res.getHeader(name)])),
+            body: responseBody().toString('base64')
+          }, ttlMs);
+        Promise.resolve(saved).catch(error => log.error('idempotency record could not be saved', { err: error }));
+      };
+      res.on('finish', () => settle(true));
+      res.on('close', () => settle(res.writableFinished));
 
-// Apply rate limiting to all requests
-app.use(apiLimiter);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
 
 // Export the configured application
 module.exports = {
   createExpressApp,
+  createLogger,
+  getRequestContext,
+  requestContextMiddleware,
   validateUser,
+  createAuthenticator,
+  requirePermissions,
+  hasPermission,
   performanceLogger,
+  createPerformanceMonitor,
   sanitizeRequest,
+  createSanitizer,
+  validateRequest,
   createDynamicRouter,
-  globalErrorHandler
+  globalErrorHandler,
+  createErrorHandler,
+  createJwtScanMiddleware,
+  HttpError,
+  BadRequestError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  PreconditionRequiredError,
+  PayloadTooLargeError,
+  ValidationError,
+  RateLimitedError,
+  createRateLimiter,
+  MemoryRateLimitStore,
+  FileRateLimitStore,
+  createIdempotencyMiddleware,
+  MemoryIdempotencyStore,
+  asyncHandler,
+  createLruCache,
+  applyMergePatch,
+  applyJsonPatch,
+  parseListQuery,
+  createMongooseAdapter,
+  createMemoryAdapter
 };
 
 // Optional: Server startup
 if (require.main === module) {
   const PORT = process.env.PORT || 3000;
-  const app = createExpressApp();
-  
+  // Without MONGODB_URI the app runs on in-memory storage
+  const app = createExpressApp({
+    storage: process.env.STORAGE || (process.env.MONGODB_URI ? 'mongoose' : 'memory')
+  });
+
   app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
+    logger.info(`🚀 Server running on port ${PORT}`, { port: Number(PORT) });
   });
 }
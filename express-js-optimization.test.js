@@ -0,0 +1,488 @@
+// Tests for express-js-optimization.js
+// Run with: node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+const {
+  createExpressApp,
+  createDynamicRouter,
+  createMemoryAdapter,
+  createErrorHandler,
+  createSanitizer,
+  validateRequest,
+  createIdempotencyMiddleware,
+  createLruCache,
+  MemoryIdempotencyStore,
+  applyJsonPatch
+} = require('./express-js-optimization');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, child() { return silentLogger; } };
+
+/**
+ * Listens on a random port
+ * @returns {Promise<{request: Function, close: Function}>}
+ */
+const listen = async (app) => {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { body, headers = {} } = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  return { app, request, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+// In-memory app; pass rateLimit to test the limiter
+const startApp = (options = {}) =>
+  listen(createExpressApp({ storage: 'memory', logger: silentLogger, rateLimit: false, ...options }));
+
+test('JSON Patch cannot reach Object.prototype', async (t) => {
+  const { request, close } = await startApp();
+  t.after(close);
+
+  const created = await request('POST', '/products', { body: { name: 'Lamp', price: 10 } });
+  assert.strictEqual(created.status, 201);
+  const path = `/products/${created.body.data._id}`;
+  const jsonPatch = { 'content-type': 'application/json-patch+json' };
+
+  const attempts = [
+    [{ op: 'add', path: '/__proto__/polluted', value: 'yes' }],
+    [{ op: 'add', path: '/constructor/prototype/polluted', value: 'yes' }],
+    [{ op: 'remove', path: '/__proto__/toString' }],
+    [{ op: 'copy', from: '/__proto__', path: '/copied' }]
+  ];
+  for (const operations of attempts) {
+    const response = await request('PATCH', path, { body: operations, headers: jsonPatch });
+    assert.strictEqual(response.status, 422, JSON.stringify(operations));
+  }
+
+  assert.strictEqual({}.polluted, undefined);
+  assert.strictEqual(typeof Object.prototype.toString, 'function');
+
+  // The server is still up and the document unchanged
+  const read = await request('GET', path);
+  assert.strictEqual(read.status, 200);
+  assert.strictEqual(read.body.data.copied, undefined);
+});
+
+test('applyJsonPatch only sees own properties', () => {
+  assert.throws(() => applyJsonPatch({}, [{ op: 'remove', path: '/toString' }]), { status: 409 });
+  assert.throws(() => applyJsonPatch({ a: {} }, [{ op: 'add', path: '/a/hasOwnProperty/x', value: 1 }]), { status: 409 });
+  assert.deepStrictEqual(applyJsonPatch({ a: 1 }, [{ op: 'replace', path: '/a', value: 2 }]), { a: 2 });
+});
+
+// Schema-less router, so patches may add any field
+const startNotesApp = () => {
+  const app = express();
+  app.use(express.json({ type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json'] }));
+  app.use('/notes', createDynamicRouter(createMemoryAdapter()));
+  app.use(createErrorHandler({ logger: silentLogger }));
+  return listen(app);
+};
+
+test('JSON Patch test ignores member order and replace can target the whole document', async (t) => {
+  const { request, close } = await startNotesApp();
+  t.after(close);
+
+  const created = await request('POST', '/notes', { body: { title: 'a', size: { x: 1, y: 2 } } });
+  const path = `/notes/${created.body.data._id}`;
+  const jsonPatch = { 'content-type': 'application/json-patch+json' };
+
+  const tested = await request('PATCH', path, {
+    body: [{ op: 'test', path: '/size', value: { y: 2, x: 1 } }, { op: 'replace', path: '/title', value: 'b' }],
+    headers: jsonPatch
+  });
+  assert.strictEqual(tested.status, 200);
+  assert.strictEqual(tested.body.data.title, 'b');
+
+  const replaced = await request('PATCH', path, {
+    body: [{ op: 'replace', path: '', value: { title: 'c' } }],
+    headers: jsonPatch
+  });
+  assert.strictEqual(replaced.status, 200);
+  assert.strictEqual(replaced.body.data.title, 'c');
+  assert.strictEqual(replaced.body.data.size, undefined);
+  assert.strictEqual(replaced.body.data._id, created.body.data._id);
+
+  assert.strictEqual((await request('PATCH', path, { body: [{ op: 'remove', path: '' }], headers: jsonPatch })).status, 422);
+  assert.deepStrictEqual(applyJsonPatch({ a: 1 }, [{ op: 'replace', path: '', value: [1] }]), [1]);
+});
+
+test('plain JSON PATCH stores null while merge patch removes the field', async (t) => {
+  const { request, close } = await startNotesApp();
+  t.after(close);
+
+  const created = await request('POST', '/notes', { body: { title: 'a', body: 'b', tag: 'c' } });
+  const path = `/notes/${created.body.data._id}`;
+
+  const partial = await request('PATCH', path, { body: { body: null } });
+  assert.strictEqual(partial.status, 200);
+  assert.strictEqual(partial.body.data.body, null);
+  assert.strictEqual(partial.body.data.title, 'a');
+
+  const merged = await request('PATCH', path, { body: { tag: null }, headers: { 'content-type': 'application/merge-patch+json' } });
+  assert.strictEqual(merged.status, 200);
+  assert.ok(!('tag' in merged.body.data));
+  assert.strictEqual(merged.body.data.body, null);
+});
+
+test('cursor pagination walks every page on the default sort', async (t) => {
+  const { request, close } = await startApp();
+  t.after(close);
+
+  for (let index = 0; index < 5; index++) {
+    await request('POST', '/products', { body: { name: `Item ${index}`, price: index } });
+  }
+
+  const seen = [];
+  let next = '/products?cursor=&limit=2';
+  let last;
+  while (next) {
+    last = await request('GET', next);
+    assert.strictEqual(last.status, 200);
+    seen.push(...last.body.data.map(document => document.name));
+    next = last.body.pagination.next;
+  }
+  assert.strictEqual(seen.length, 5);
+  assert.strictEqual(new Set(seen).size, 5);
+
+  // Walking back from the last page returns the previous one
+  const previous = await request('GET', last.body.pagination.prev);
+  assert.strictEqual(previous.status, 200);
+  assert.deepStrictEqual(previous.body.data.map(document => document.name), seen.slice(2, 4));
+});
+
+test('crafted cursors are rejected', async (t) => {
+  const { request, close } = await startApp();
+  t.after(close);
+
+  const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const cursors = [
+    // Query operator in place of a sort value
+    encode({ sort: '-createdAt,_id', values: [{ $ne: null }, 'zzz'], direction: 'next' }),
+    encode({ sort: '-createdAt,_id', values: [{ $regex: '.*' }, 'zzz'], direction: 'next' }),
+    // Wrong number of values
+    encode({ sort: '-createdAt,_id', values: ['zzz'], direction: 'next' }),
+    // Built for another sort
+    encode({ sort: 'price,_id', values: [1, 'zzz'], direction: 'next' }),
+    'not-a-cursor'
+  ];
+  for (const cursor of cursors) {
+    const response = await request('GET', `/products?cursor=${cursor}`);
+    assert.strictEqual(response.status, 422, cursor);
+  }
+});
+
+test('createLruCache evicts the least recently used entry and expires entries', async () => {
+  const cache = createLruCache({ max: 2, ttlMs: 1000 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  assert.strictEqual(cache.get('a'), 1);
+  cache.set('c', 3);
+  assert.strictEqual(cache.has('b'), false);
+  assert.deepStrictEqual([cache.get('a'), cache.get('c')], [1, 3]);
+
+  cache.set('short', 4, 10);
+  assert.strictEqual(cache.size, 2);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(cache.get('short'), undefined);
+  cache.prune();
+  assert.strictEqual(cache.size, 1);
+});
+
+test('response cache serves hits and is invalidated by writes', async (t) => {
+  const { request, close } = await startApp();
+  t.after(close);
+
+  const created = await request('POST', '/products', { body: { name: 'Desk', price: 100 } });
+  const path = `/products/${created.body.data._id}`;
+  assert.strictEqual((await request('GET', path)).headers.get('x-cache'), 'MISS');
+  assert.strictEqual((await request('GET', path)).headers.get('x-cache'), 'HIT');
+
+  await request('PATCH', path, { body: { price: 90 } });
+  const read = await request('GET', path);
+  assert.strictEqual(read.headers.get('x-cache'), 'MISS');
+  assert.strictEqual(read.body.data.price, 90);
+});
+
+test('JWT scan findings are keyed by route template and behind the admin guard', async (t) => {
+  const secret = 'a-long-enough-test-secret-for-hs256-tokens';
+  const { request, close } = await startApp({
+    auth: { secret },
+    jwtScan: { maxTrackedTokens: 2, scanOptions: { checkCommonSecrets: false } }
+  });
+  t.after(close);
+
+  const bearer = (claims) => ({ authorization: `Bearer ${jwt.sign(claims, secret)}` });
+  for (const sub of ['u1', 'u2', 'u3']) {
+    await request('GET', `/products/${sub}-missing`, { headers: bearer({ sub }) });
+  }
+
+  assert.strictEqual((await request('GET', '/admin/jwt-findings')).status, 401);
+  assert.strictEqual((await request('GET', '/admin/jwt-findings', { headers: bearer({ sub: 'u1' }) })).status, 403);
+
+  const admin = bearer({ sub: 'root', scope: 'admin' });
+  let finding;
+  for (let attempt = 0; attempt < 50 && !finding; attempt++) {
+    const response = await request('GET', '/admin/jwt-findings', { headers: admin });
+    assert.strictEqual(response.status, 200);
+    finding = response.body.findings.find(({ routes }) => routes['GET /products/:id'] === 3);
+    if (!finding) await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.ok(finding, 'findings keyed by the route template');
+  assert.ok(!Object.keys(finding.routes).some(route => route.includes('missing')));
+  assert.strictEqual(finding.distinctTokens, 2);
+  assert.strictEqual(finding.distinctTokensIsLowerBound, true);
+});
+
+test('the JWT findings route needs a guard without auth', () => {
+  assert.throws(() => createExpressApp({ storage: 'memory', logger: silentLogger, jwtScan: {} }), /adminMiddleware/);
+  assert.doesNotThrow(() => createExpressApp({ storage: 'memory', logger: silentLogger, jwtScan: { adminPath: false } }));
+});
+
+test('MemoryIdempotencyStore evicts the least recently used record past max', async (t) => {
+  const store = new MemoryIdempotencyStore({ max: 2 });
+  t.after(() => store.shutdown());
+
+  assert.strictEqual(await store.create('a', { status: 201 }, 1000), true);
+  assert.strictEqual(await store.create('a', { status: 201 }, 1000), false);
+  await store.create('b', { status: 201 }, 1000);
+  await store.get('a');
+  await store.create('c', { status: 201 }, 1000);
+
+  assert.strictEqual(store.records.size, 2);
+  assert.strictEqual(await store.get('b'), undefined);
+  assert.deepStrictEqual(await store.get('a'), { status: 201 });
+
+  await store.update('c', { status: 200 }, 1);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.strictEqual(await store.get('c'), undefined);
+});
+
+test('Idempotency-Key replays the first response', async (t) => {
+  const { request, close } = await startApp();
+  t.after(close);
+
+  const headers = { 'idempotency-key': 'create-lamp-1' };
+  const first = await request('POST', '/products', { body: { name: 'Lamp', price: 10 }, headers });
+  const retry = await request('POST', '/products', { body: { name: 'Lamp', price: 10 }, headers });
+  assert.strictEqual(retry.status, first.status);
+  assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+  assert.strictEqual(retry.body.data._id, first.body.data._id);
+});
+
+test('list filters are applied from nested query parameters', async (t) => {
+  const { request, close } = await startApp();
+  t.after(close);
+
+  for (const [name, price] of [['Cheap', 5], ['Mid', 15], ['Dear', 25]]) {
+    await request('POST', '/products', { body: { name, price } });
+  }
+
+  const filtered = await request('GET', '/products?filter[price][gte]=10&filter[price][lt]=20');
+  assert.strictEqual(filtered.status, 200);
+  assert.deepStrictEqual(filtered.body.data.map(product => product.name), ['Mid']);
+
+  for (const operator of ['toString', 'hasOwnProperty', 'valueOf']) {
+    const response = await request('GET', `/products?filter[price][${operator}]=1`);
+    assert.strictEqual(response.status, 422, operator);
+  }
+});
+
+test('flat filter keys are rejected instead of ignored', async (t) => {
+  const app = express();
+  app.set('query parser', 'simple');
+  app.use('/items', createDynamicRouter(createMemoryAdapter(), { filterable: ['price'] }));
+  app.use(createErrorHandler({ logger: silentLogger }));
+  const { request, close } = await listen(app);
+  t.after(close);
+
+  const response = await request('GET', '/items?filter[price][gte]=10');
+  assert.strictEqual(response.status, 422);
+  assert.match(response.body.detail, /filter\[price\]\[gte\]/);
+});
+
+test('the default sort is not held to the sortable allowlist', async (t) => {
+  const app = express();
+  app.use('/items', createDynamicRouter(createMemoryAdapter({ fields: { price: { type: 'Number' } } }), {
+    sortable: ['price']
+  }));
+  app.use(createErrorHandler({ logger: silentLogger }));
+  const { request, close } = await listen(app);
+  t.after(close);
+
+  assert.strictEqual((await request('GET', '/items')).status, 200);
+  assert.strictEqual((await request('GET', '/items?sort=-price')).status, 200);
+  assert.strictEqual((await request('GET', '/items?sort=createdAt')).status, 422);
+});
+
+test('sanitized and coerced query values reach the route handler', async (t) => {
+  const app = express();
+  app.set('query parser', 'extended');
+  app.use(createSanitizer({ logger: silentLogger }));
+  app.get('/echo', validateRequest({
+    query: {
+      type: 'object',
+      properties: { page: { type: 'integer' }, limit: { type: 'integer', default: 20 } }
+    }
+  }), (req, res) => res.json(req.query));
+  app.use(createErrorHandler({ logger: silentLogger }));
+  const { request, close } = await listen(app);
+  t.after(close);
+
+  const response = await request('GET', '/echo?name=%20x%20&page=2&where[$gt]=1&a.b=1');
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body, { name: 'x', page: 2, where: {}, limit: 20 });
+});
+
+test('unknown routes answer with problem details', async (t) => {
+  const { request, close } = await startApp();
+  t.after(close);
+
+  const response = await request('GET', '/nowhere');
+  assert.strictEqual(response.status, 404);
+  assert.match(response.headers.get('content-type'), /^application\/problem\+json/);
+  assert.strictEqual(response.body.status, 404);
+});
+
+test('rate limit policies count matching requests and answer 429 with Retry-After', async (t) => {
+  const { request, close } = await startApp({
+    rateLimit: {
+      policies: [
+        { name: 'default', windowMs: 60 * 1000, limit: 50, key: 'ip' },
+        { name: 'writes', windowMs: 60 * 1000, limit: 2, key: 'ip', methods: ['POST'] }
+      ]
+    }
+  });
+  t.after(close);
+
+  const body = { name: 'Lamp', price: 10 };
+  const first = await request('POST', '/products', { body });
+  assert.strictEqual(first.status, 201);
+  assert.match(first.headers.get('ratelimit-policy'), /"default"; q=50; w=60/);
+  assert.match(first.headers.get('ratelimit-policy'), /"writes"; q=2; w=60/);
+  assert.match(first.headers.get('ratelimit'), /"writes"; r=1; t=\d+/);
+
+  assert.strictEqual((await request('POST', '/products', { body })).status, 201);
+  const limited = await request('POST', '/products', { body });
+  assert.strictEqual(limited.status, 429);
+  assert.match(limited.headers.get('content-type'), /^application\/problem\+json/);
+  const retryAfter = Number(limited.headers.get('retry-after'));
+  assert.ok(retryAfter >= 1 && retryAfter <= 60, String(retryAfter));
+
+  // Reads only count against the default policy
+  assert.strictEqual((await request('GET', '/products')).status, 200);
+});
+
+test('file rate limit stores keep their counts across restarts', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-'));
+  const rateLimit = {
+    store: 'file',
+    directory,
+    policies: [{ name: 'default', windowMs: 60 * 1000, limit: 2, key: 'ip' }]
+  };
+
+  const first = await startApp({ rateLimit });
+  assert.strictEqual((await first.request('GET', '/products')).status, 200);
+  assert.strictEqual((await first.request('GET', '/products')).status, 200);
+  await first.close();
+  first.app.locals.rateLimiter.shutdown();
+  assert.ok(fs.existsSync(path.join(directory, 'rate-limit-default.json')));
+
+  const second = await startApp({ rateLimit });
+  // Hooks run in order: the store writes its file before the directory goes
+  t.after(second.close);
+  t.after(() => second.app.locals.rateLimiter.shutdown());
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  assert.strictEqual((await second.request('GET', '/products')).status, 429);
+});
+
+test('CRUD routes answer 401 without a user, 403 without permission and limit writes to the owner', async (t) => {
+  const secret = 'a-long-enough-test-secret-for-hs256-tokens';
+  const { request, close } = await startApp({ auth: { secret } });
+  t.after(close);
+
+  const as = (sub, scope) => ({ authorization: `Bearer ${jwt.sign({ sub, scope }, secret)}` });
+  const body = { name: 'Lamp', price: 10 };
+
+  const anonymous = await request('POST', '/products', { body });
+  assert.strictEqual(anonymous.status, 401);
+  assert.strictEqual(anonymous.headers.get('www-authenticate'), 'Bearer realm="api"');
+  const badToken = await request('POST', '/products', { body, headers: { authorization: 'Bearer not.a.token' } });
+  assert.strictEqual(badToken.status, 401);
+  assert.match(badToken.headers.get('www-authenticate'), /error="invalid_token"/);
+  assert.strictEqual((await request('POST', '/products', { body, headers: as('reader', 'products:read') })).status, 403);
+
+  const created = await request('POST', '/products', { body: { ...body, ownerId: 'someone-else' }, headers: as('alice', 'products:write') });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.data.ownerId, 'alice');
+  const path = `/products/${created.body.data._id}`;
+
+  // Reads are public, writes belong to the owner
+  assert.strictEqual((await request('GET', path)).status, 200);
+  assert.strictEqual((await request('PATCH', path, { body: { price: 1 }, headers: as('bob', 'products:write') })).status, 403);
+  assert.strictEqual((await request('DELETE', path, { headers: as('bob', 'products:write') })).status, 403);
+
+  const moved = await request('PATCH', path, { body: { price: 12, ownerId: 'bob' }, headers: as('alice', 'products:write') });
+  assert.strictEqual(moved.status, 200);
+  assert.strictEqual(moved.body.data.ownerId, 'alice');
+
+  // products:admin bypasses ownership
+  const admin = as('carol', 'products:write products:admin');
+  assert.strictEqual((await request('PATCH', path, { body: { price: 15 }, headers: admin })).status, 200);
+  assert.strictEqual((await request('DELETE', path, { headers: admin })).status, 204);
+});
+
+test('Idempotency-Key rejects reuse for another request and duplicates still in flight', async (t) => {
+  let release;
+  let runs = 0;
+  const app = express();
+  app.use(express.json());
+  app.use(createIdempotencyMiddleware({ logger: silentLogger }));
+  app.post('/jobs', async (req, res) => {
+    runs++;
+    if (req.body.slow) await new Promise(resolve => { release = resolve; });
+    if (req.body.fail) return res.status(503).json({ failed: true });
+    res.status(201).json({ run: runs });
+  });
+  app.use(createErrorHandler({ logger: silentLogger }));
+  const { request, close } = await listen(app);
+  t.after(close);
+
+  const key = (value) => ({ 'idempotency-key': value });
+
+  await request('POST', '/jobs', { body: { n: 1 }, headers: key('k1') });
+  const reused = await request('POST', '/jobs', { body: { n: 2 }, headers: key('k1') });
+  assert.strictEqual(reused.status, 422);
+  assert.strictEqual(runs, 1);
+
+  const slow = request('POST', '/jobs', { body: { slow: true }, headers: key('k2') });
+  while (!release) await new Promise(resolve => setTimeout(resolve, 5));
+  const duplicate = await request('POST', '/jobs', { body: { slow: true }, headers: key('k2') });
+  assert.strictEqual(duplicate.status, 409);
+  release();
+  assert.strictEqual((await slow).status, 201);
+  assert.strictEqual((await request('POST', '/jobs', { body: { slow: true }, headers: key('k2') })).headers.get('idempotent-replayed'), 'true');
+
+  // 5xx responses are not stored, so the retry runs again
+  assert.strictEqual((await request('POST', '/jobs', { body: { fail: true }, headers: key('k3') })).status, 503);
+  const before = runs;
+  assert.strictEqual((await request('POST', '/jobs', { body: { fail: true }, headers: key('k3') })).status, 503);
+  assert.strictEqual(runs, before + 1);
+
+  assert.strictEqual((await request('POST', '/jobs', { body: {}, headers: key('bad key') })).status, 400);
+});
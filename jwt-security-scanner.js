@@ -1,49 +1,1011 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const readline = require('readline');
+const EventEmitter = require('events');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
 
-class JWTSecurityScanner {
+const base64UrlEncode = (input) => Buffer.from(input)
+  .toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+const SEVERITY_LEVELS = {
+  HIGH: '🔴 HIGH',
+  MEDIUM: '🟡 MEDIUM',
+  LOW: '🟢 LOW'
+};
+
+// Stable rule identifiers keyed by issue title, used to track findings across runs
+const RULE_IDS = {
+  'Invalid Token Type': 'jwt/structure-not-string',
+  'Surrounding Whitespace': 'jwt/structure-whitespace',
+  'Invalid Segment Count': 'jwt/structure-segment-count',
+  'Invalid Base64url Characters': 'jwt/structure-invalid-characters',
+  'Non-base64url Characters': 'jwt/structure-base64-alphabet',
+  'Base64 Padding': 'jwt/structure-base64-padding',
+  'Invalid Base64url Length': 'jwt/structure-base64-length',
+  'Non-canonical Base64url': 'jwt/structure-non-canonical',
+  'Invalid UTF-8': 'jwt/structure-invalid-utf8',
+  'Invalid JSON': 'jwt/structure-invalid-json',
+  'Non-object JSON': 'jwt/structure-non-object',
+  'Duplicate JSON Keys': 'jwt/structure-duplicate-keys',
+  'Oversized Header': 'jwt/structure-oversized-header',
+  'Oversized Token': 'jwt/structure-oversized-token',
+  'Missing Algorithm': 'jwt/structure-missing-alg',
+  'Missing Signature': 'jwt/structure-missing-signature',
+  'Encrypted Token (JWE)': 'jwt/jwe',
+  'Weak Key Management Algorithm': 'jwt/jwe-weak-key-management',
+  'Nested JWT': 'jwt/nested',
+  'Algorithm Vulnerability': 'jwt/alg-none',
+  'Weak Algorithm': 'jwt/weak-algorithm',
+  'Algorithm Key Confusion': 'jwt/key-confusion',
+  'Key Confusion Check Skipped': 'jwt/key-confusion-skipped',
+  'Unexpected kid Type': 'jwt/kid-type',
+  'Path Traversal in kid': 'jwt/kid-path-traversal',
+  'SQL Injection in kid': 'jwt/kid-sql-injection',
+  'Command Injection in kid': 'jwt/kid-command-injection',
+  'Invalid jku URL': 'jwt/jku-invalid-url',
+  'Untrusted jku Host': 'jwt/jku-untrusted-host',
+  'Insecure jku Transport': 'jwt/jku-insecure-transport',
+  'Invalid x5u URL': 'jwt/x5u-invalid-url',
+  'Untrusted x5u Host': 'jwt/x5u-untrusted-host',
+  'Insecure x5u Transport': 'jwt/x5u-insecure-transport',
+  'Embedded JWK': 'jwt/embedded-jwk',
+  'Malformed crit Header': 'jwt/crit-malformed',
+  'Invalid crit Parameters': 'jwt/crit-invalid',
+  'Critical Header Extensions': 'jwt/crit-extensions',
+  'Invalid NumericDate': 'jwt/invalid-numeric-date',
+  'Missing Expiration': 'jwt/missing-exp',
+  'Expired Token': 'jwt/expired',
+  'Long Expiration Time': 'jwt/long-lifetime',
+  'Token Not Yet Valid': 'jwt/nbf-in-future',
+  'Issued In The Future': 'jwt/iat-in-future',
+  'Missing Required Claims': 'jwt/missing-claims',
+  'Invalid Claim Type': 'jwt/invalid-claim-type',
+  'Untrusted Issuer': 'jwt/untrusted-issuer',
+  'Invalid Audience': 'jwt/invalid-aud',
+  'Audience Mismatch': 'jwt/aud-mismatch',
+  'Sensitive Data Exposure': 'jwt/sensitive-claim-name',
+  'Card Number in Payload': 'jwt/pii-card-number',
+  'IBAN in Payload': 'jwt/pii-iban',
+  'National ID in Payload': 'jwt/pii-national-id',
+  'Email Address in Payload': 'jwt/pii-email',
+  'Phone Number in Payload': 'jwt/pii-phone',
+  'API Key in Payload': 'jwt/secret-api-key',
+  'Private Key in Payload': 'jwt/secret-private-key',
+  'High Entropy Value in Payload': 'jwt/secret-high-entropy',
+  'Token Length': 'jwt/short-token',
+  'Weak Secret Key': 'jwt/weak-secret',
+  'Weak Signature': 'jwt/weak-signature',
+  'Unknown Key ID': 'jwt/jwks-unknown-kid',
+  'Missing kid': 'jwt/jwks-missing-kid',
+  'Invalid Signature': 'jwt/jwks-invalid-signature',
+  'Weak RSA Key': 'jwt/jwks-weak-rsa-key',
+  'Non-recommended Curve': 'jwt/jwks-curve',
+  'Unconstrained Key': 'jwt/jwks-unconstrained-key',
+  'Key Algorithm Mismatch': 'jwt/jwks-alg-mismatch',
+  'Key Use Mismatch': 'jwt/jwks-use-mismatch',
+  'Private Key in JWKS': 'jwt/jwks-private-key',
+  'Symmetric Key in JWKS': 'jwt/jwks-symmetric-key',
+  'JWKS Check Skipped': 'jwt/jwks-skipped',
+  'Wordlist Check Skipped': 'jwt/wordlist-skipped'
+};
+
+const ruleIdFor = (title) => RULE_IDS[title] ||
+  `jwt/${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+
+/**
+ * CWE mapping, score weight (0-100) and confidence per built-in rule
+ * Heuristic rules match patterns rather than proving the issue and count for half
+ * their weight in the risk score.
+ */
+const RULE_METADATA = {
+  'jwt/structure-not-string': { cwe: 20, weight: 10 },
+  'jwt/structure-whitespace': { cwe: 20, weight: 2 },
+  'jwt/structure-segment-count': { cwe: 20, weight: 20 },
+  'jwt/structure-invalid-characters': { cwe: 20, weight: 20 },
+  'jwt/structure-base64-alphabet': { cwe: 20, weight: 10 },
+  'jwt/structure-base64-padding': { cwe: 20, weight: 3 },
+  'jwt/structure-base64-length': { cwe: 20, weight: 20 },
+  'jwt/structure-non-canonical': { cwe: 347, weight: 5 },
+  'jwt/structure-invalid-utf8': { cwe: 20, weight: 10 },
+  'jwt/structure-invalid-json': { cwe: 20, weight: 20 },
+  'jwt/structure-non-object': { cwe: 20, weight: 10 },
+  'jwt/structure-duplicate-keys': { cwe: 436, weight: 20 },
+  'jwt/structure-oversized-header': { cwe: 400, weight: 10 },
+  'jwt/structure-oversized-token': { cwe: 400, weight: 3 },
+  'jwt/structure-missing-alg': { cwe: 347, weight: 25 },
+  'jwt/structure-missing-signature': { cwe: 347, weight: 40 },
+  'jwt/jwe': { cwe: null, weight: 0 },
+  'jwt/jwe-weak-key-management': { cwe: 327, weight: 25 },
+  'jwt/nested': { cwe: null, weight: 0 },
+  'jwt/alg-none': { cwe: 347, weight: 60 },
+  'jwt/weak-algorithm': { cwe: 327, weight: 40 },
+  'jwt/key-confusion': { cwe: 347, weight: 60 },
+  'jwt/key-confusion-skipped': { cwe: null, weight: 0 },
+  'jwt/kid-type': { cwe: 20, weight: 10 },
+  'jwt/kid-path-traversal': { cwe: 22, weight: 40, heuristic: true },
+  'jwt/kid-sql-injection': { cwe: 89, weight: 40, heuristic: true },
+  'jwt/kid-command-injection': { cwe: 78, weight: 40, heuristic: true },
+  'jwt/jku-invalid-url': { cwe: 20, weight: 10 },
+  'jwt/jku-untrusted-host': { cwe: 345, weight: 45 },
+  'jwt/jku-insecure-transport': { cwe: 319, weight: 15 },
+  'jwt/x5u-invalid-url': { cwe: 20, weight: 10 },
+  'jwt/x5u-untrusted-host': { cwe: 345, weight: 45 },
+  'jwt/x5u-insecure-transport': { cwe: 319, weight: 15 },
+  'jwt/embedded-jwk': { cwe: 347, weight: 50 },
+  'jwt/crit-malformed': { cwe: 20, weight: 10 },
+  'jwt/crit-invalid': { cwe: 20, weight: 10 },
+  'jwt/crit-extensions': { cwe: 20, weight: 10, heuristic: true },
+  'jwt/invalid-numeric-date': { cwe: 20, weight: 10 },
+  'jwt/missing-exp': { cwe: 613, weight: 40 },
+  'jwt/expired': { cwe: 613, weight: 3 },
+  'jwt/long-lifetime': { cwe: 613, weight: 20 },
+  'jwt/nbf-in-future': { cwe: 20, weight: 3 },
+  'jwt/iat-in-future': { cwe: 20, weight: 10 },
+  'jwt/missing-claims': { cwe: 345, weight: 10 },
+  'jwt/invalid-claim-type': { cwe: 20, weight: 5 },
+  'jwt/untrusted-issuer': { cwe: 346, weight: 45 },
+  'jwt/invalid-aud': { cwe: 20, weight: 10 },
+  'jwt/aud-mismatch': { cwe: 345, weight: 40 },
+  'jwt/sensitive-claim-name': { cwe: 312, weight: 30, heuristic: true },
+  'jwt/pii-card-number': { cwe: 359, weight: 40 },
+  'jwt/pii-iban': { cwe: 359, weight: 30 },
+  'jwt/pii-national-id': { cwe: 359, weight: 40, heuristic: true },
+  'jwt/pii-email': { cwe: 359, weight: 5 },
+  'jwt/pii-phone': { cwe: 359, weight: 5, heuristic: true },
+  'jwt/secret-api-key': { cwe: 522, weight: 50 },
+  'jwt/secret-private-key': { cwe: 522, weight: 70 },
+  'jwt/secret-high-entropy': { cwe: 522, weight: 20, heuristic: true },
+  'jwt/short-token': { cwe: 20, weight: 5, heuristic: true },
+  'jwt/weak-secret': { cwe: 1391, weight: 70 },
+  'jwt/weak-signature': { cwe: 326, weight: 40 },
+  'jwt/jwks-unknown-kid': { cwe: 347, weight: 30 },
+  'jwt/jwks-missing-kid': { cwe: 347, weight: 3 },
+  'jwt/jwks-invalid-signature': { cwe: 347, weight: 70 },
+  'jwt/jwks-weak-rsa-key': { cwe: 326, weight: 45 },
+  'jwt/jwks-curve': { cwe: 327, weight: 15 },
+  'jwt/jwks-unconstrained-key': { cwe: 1173, weight: 5 },
+  'jwt/jwks-alg-mismatch': { cwe: 347, weight: 40 },
+  'jwt/jwks-use-mismatch': { cwe: 347, weight: 20 },
+  'jwt/jwks-private-key': { cwe: 321, weight: 80 },
+  'jwt/jwks-symmetric-key': { cwe: 321, weight: 80 },
+  'jwt/jwks-skipped': { cwe: null, weight: 0 },
+  'jwt/wordlist-skipped': { cwe: null, weight: 0 }
+};
+
+// Weights for custom rules that do not declare one
+const DEFAULT_SEVERITY_WEIGHTS = { HIGH: 40, MEDIUM: 15, LOW: 5 };
+
+const CONFIDENCE_FACTORS = { certain: 1, heuristic: 0.5 };
+
+const cweReference = (cwe) => `https://cwe.mitre.org/data/definitions/${cwe}.html`;
+
+/**
+ * Combines issue weights into a 0-100 risk score
+ * Each issue removes its share of the remaining headroom, so scores never
+ * exceed 100 and one critical issue outweighs many minor ones.
+ */
+const calculateRiskScore = (issues) => {
+  const safety = issues.reduce((remaining, issue) =>
+    remaining * (1 - (issue.weight * CONFIDENCE_FACTORS[issue.confidence]) / 100), 1);
+  return Math.round((1 - safety) * 100);
+};
+
+const isSeverity = (key) => typeof key === 'string' && Object.hasOwn(SEVERITY_LEVELS, key);
+const severityKey = (label) => Object.keys(SEVERITY_LEVELS).find(key => SEVERITY_LEVELS[key] === label);
+
+// Custom rules registered with JWTSecurityScanner.registerRule, keyed by rule id
+const CUSTOM_RULES = new Map();
+
+/**
+ * Validates a custom rule definition
+ * @param {object} rule - { id, title, severity, recommendation, check }
+ * @returns {object} The rule with defaults applied
+ */
+const normalizeRule = (rule) => {
+  if (!rule || typeof rule.id !== 'string' || rule.id === '') {
+    throw new TypeError('Rule must have a non-empty string id');
+  }
+  if (typeof rule.check !== 'function') {
+    throw new TypeError(`Rule ${rule.id} must have a check function`);
+  }
+  const severity = rule.severity || 'MEDIUM';
+  if (!isSeverity(severity)) {
+    throw new TypeError(`Rule ${rule.id} has an unknown severity: ${severity}`);
+  }
+
+  return {
+    title: rule.id,
+    recommendation: '',
+    ...rule,
+    severity
+  };
+};
+
+const ASYMMETRIC_ALGORITHMS = /^(RS|PS|ES)(256|384|512)$/;
+
+// JWKS verification: key types per algorithm family and curves per ECDSA algorithm
+const JWKS_KEY_TYPES = { RS: 'RSA', PS: 'RSA', ES: 'EC', Ed: 'OKP' };
+const ECDSA_CURVES = { ES256: 'P-256', ES384: 'P-384', ES512: 'P-521' };
+const RECOMMENDED_CURVES = ['P-256', 'P-384', 'P-521', 'Ed25519', 'Ed448'];
+const MIN_RSA_MODULUS_BITS = 2048;
+const JWKS_CACHE_TTL_MS = 5 * 60 * 1000;
+const jwksCache = new Map();
+
+/**
+ * Loads a JWKS document from an object, a local file or an HTTP URL
+ * Fetched documents are cached for JWKS_CACHE_TTL_MS.
+ * @param {object|string} source - JWKS object, file path or http(s) URL
+ * @returns {Promise<object>} JWKS document
+ */
+const loadJwks = async (source) => {
+  const assertJwks = (jwks) => {
+    if (!Array.isArray(jwks?.keys) || !jwks.keys.every(jwk => jwk && typeof jwk === 'object')) {
+      throw new Error('document has no "keys" array of objects');
+    }
+    return jwks;
+  };
+
+  if (typeof source !== 'string') return assertJwks(source);
+
+  const cached = jwksCache.get(source);
+  if (cached && cached.expiresAt > Date.now()) return cached.jwks;
+
+  const jwks = assertJwks(/^https?:\/\//i.test(source)
+    ? (await axios.get(source, { timeout: 5000 })).data
+    : JSON.parse(fs.readFileSync(source, 'utf8')));
+
+  jwksCache.set(source, { jwks, expiresAt: Date.now() + JWKS_CACHE_TTL_MS });
+  return jwks;
+};
+
+const HMAC_ALGORITHMS = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512'
+};
+
+const LEET_MAP = { a: '4', e: '3', i: '1', o: '0', s: '5', t: '7' };
+
+/**
+ * Expands a wordlist entry into the candidates produced by the mutation rules
+ * @param {string} word - Wordlist entry
+ * @param {string[]} mutations - Any of 'case', 'leet', 'digits'
+ * @returns {string[]} Unique candidate secrets, the original word first
+ */
+const mutateCandidate = (word, mutations = []) => {
+  let candidates = [word];
+
+  if (mutations.includes('case')) {
+    const capitalized = word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+    candidates.push(word.toLowerCase(), word.toUpperCase(), capitalized);
+  }
+  if (mutations.includes('leet')) {
+    candidates = candidates.concat(candidates.map(candidate =>
+      candidate.replace(/[aeiost]/gi, char => LEET_MAP[char.toLowerCase()])
+    ));
+  }
+  if (mutations.includes('digits')) {
+    const suffixes = ['123', '1234'];
+    for (let i = 0; i < 100; i++) suffixes.push(String(i));
+    candidates = candidates.concat(...candidates.map(candidate =>
+      suffixes.map(suffix => candidate + suffix)
+    ));
+  }
+
+  return [...new Set(candidates)];
+};
+
+const KID_INJECTION_PATTERNS = [
+  {
+    title: 'Path Traversal in kid',
+    pattern: /(\.\.[\/\\])|(^[\/\\])|(\0)|(\/dev\/null)|(\/etc\/)|(^[a-z]:\\)/i,
+    recommendation: 'Resolve "kid" against a fixed key map instead of the file system'
+  },
+  {
+    title: 'SQL Injection in kid',
+    pattern: /(['"`;]|--|\/\*|\bunion\b.*\bselect\b|\bor\b\s+\d+\s*=\s*\d+)/i,
+    recommendation: 'Look up "kid" with parameterized queries or an allowlist of known key ids'
+  },
+  {
+    title: 'Command Injection in kid',
+    pattern: /([|&;`]|\$\(|\$\{|\|\||&&|[\r\n])/,
+    recommendation: 'Never pass "kid" to a shell; match it against known key ids'
+  }
+];
+
+/**
+ * Registered claim policies for common token types
+ * Lifetimes and skew are in seconds; empty issuer/audience lists accept any value.
+ */
+const CLAIM_POLICY_PROFILES = {
+  access: {
+    requiredClaims: ['exp', 'iat', 'sub'],
+    allowedIssuers: [],
+    allowedAudiences: [],
+    maxLifetime: 60 * 60,
+    clockSkew: 60
+  },
+  refresh: {
+    requiredClaims: ['exp', 'iat', 'sub', 'jti'],
+    allowedIssuers: [],
+    allowedAudiences: [],
+    maxLifetime: 30 * 24 * 60 * 60,
+    clockSkew: 60
+  },
+  idToken: {
+    // OpenID Connect Core 1.0 section 2
+    requiredClaims: ['iss', 'sub', 'aud', 'exp', 'iat'],
+    allowedIssuers: [],
+    allowedAudiences: [],
+    maxLifetime: 60 * 60,
+    clockSkew: 60
+  },
+  service: {
+    requiredClaims: ['iss', 'aud', 'exp', 'iat'],
+    allowedIssuers: [],
+    allowedAudiences: [],
+    maxLifetime: 24 * 60 * 60,
+    clockSkew: 30
+  }
+};
+
+const formatDuration = (seconds) => {
+  const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
+  const [unit, size] = units.find(([, unitSize]) => seconds >= unitSize) || ['second', 1];
+  const value = Math.round(seconds / size);
+  return `${value} ${unit}${value === 1 ? '' : 's'}`;
+};
+
+// Sensitive value detection for checkPayloadSecurity
+
+const SENSITIVE_KEY_NAMES = [
+  'password', 'passwd', 'secret', 'apikey', 'api_key', 'privatekey', 'private_key',
+  'ssn', 'creditcard', 'cardnumber', 'card_number', 'cvv'
+];
+
+// Claims that are random by design and must not trip the entropy heuristic
+const RANDOM_BY_DESIGN_CLAIMS = ['jti', 'sub', 'sid', 'nonce', 'at_hash', 'c_hash', 's_hash', 'azp', 'kid'];
+
+const luhnValid = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// ISO 13616: move the first four characters to the end, letters to numbers, mod 97 must be 1
+const ibanValid = (iban) => {
+  const rearranged = (iban.slice(4) + iban.slice(0, 4))
+    .replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of rearranged) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+};
+
+const shannonEntropy = (value) => {
+  const counts = {};
+  for (const char of value) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / value.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+};
+
+const maskValue = (value, visible = 2) => value.length <= visible * 3
+  ? '*'.repeat(value.length)
+  : `${value.slice(0, visible)}${'*'.repeat(value.length - visible * 2)}${value.slice(-visible)}`;
+
+/**
+ * Value detectors, each returning the matches found in a string
+ * "certain" detectors validate a checksum or a fixed prefix; the others are heuristics.
+ */
+const SENSITIVE_VALUE_DETECTORS = [
+  {
+    title: 'Card Number in Payload',
+    label: 'a payment card number',
+    severity: 'HIGH',
+    find: (value) => (value.match(/\b[3-6](?:[ -]?\d){12,18}\b/g) || [])
+      .map(match => match.replace(/[ -]/g, ''))
+      .filter(luhnValid),
+    mask: (match) => `${'*'.repeat(match.length - 4)}${match.slice(-4)}`
+  },
+  {
+    title: 'IBAN in Payload',
+    label: 'an IBAN',
+    severity: 'HIGH',
+    find: (value) => (value.match(/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g) || [])
+      .map(match => match.replace(/ /g, ''))
+      .filter(ibanValid),
+    mask: (match) => `${match.slice(0, 4)}${'*'.repeat(match.length - 8)}${match.slice(-4)}`
+  },
+  {
+    title: 'National ID in Payload',
+    label: 'a national ID number',
+    severity: 'HIGH',
+    // US SSN (excluding never-issued ranges) and UK National Insurance numbers
+    find: (value) => [
+      ...(value.match(/\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g) || []),
+      ...(value.match(/\b[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g) || [])
+    ],
+    mask: (match) => `${'*'.repeat(match.length - 4)}${match.slice(-4)}`
+  },
+  {
+    title: 'API Key in Payload',
+    label: 'an API key',
+    severity: 'HIGH',
+    find: (value) => value.match(new RegExp([
+      '\\b(?:AKIA|ASIA)[A-Z0-9]{16}\\b', // AWS access key id
+      '\\bgh[pousr]_[A-Za-z0-9]{36,}\\b', // GitHub tokens
+      '\\bgithub_pat_[A-Za-z0-9_]{22,}\\b',
+      '\\bxox[abposr]-[A-Za-z0-9-]{10,}\\b', // Slack tokens
+      '\\b[sr]k_live_[A-Za-z0-9]{16,}\\b', // Stripe secret keys
+      '\\bAIza[0-9A-Za-z_-]{35}\\b', // Google API keys
+      '\\bSG\\.[A-Za-z0-9_-]{22}\\.[A-Za-z0-9_-]{43}\\b' // SendGrid
+    ].join('|'), 'g')) || [],
+    mask: (match) => maskValue(match, 4)
+  },
+  {
+    title: 'Private Key in Payload',
+    label: 'a private key',
+    severity: 'HIGH',
+    find: (value) => value.match(/-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----/g) || [],
+    mask: (match) => match
+  },
+  {
+    title: 'Email Address in Payload',
+    label: 'an email address',
+    severity: 'LOW',
+    find: (value) => value.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g) || [],
+    mask: (match) => {
+      const [local, domain] = match.split('@');
+      return `${local[0]}${'*'.repeat(Math.max(local.length - 1, 1))}@${domain}`;
+    }
+  },
+  {
+    title: 'Phone Number in Payload',
+    label: 'a phone number',
+    severity: 'LOW',
+    heuristic: true,
+    // Whole value only: bare digit strings are too often plain identifiers
+    find: (value) => {
+      const trimmed = value.trim();
+      const digits = trimmed.replace(/[\s().-]/g, '');
+      const formatted = trimmed.startsWith('+') || /^\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}$/.test(trimmed);
+      return formatted && /^\+?[1-9]\d{7,14}$/.test(digits) ? [trimmed] : [];
+    },
+    mask: (match) => `${'*'.repeat(match.length - 2)}${match.slice(-2)}`
+  }
+];
+
+// Structural limits used by validateStructure
+const MAX_HEADER_BYTES = 4096;
+const MAX_TOKEN_LENGTH = 8192;
+
+/**
+ * Lists object keys that appear more than once in the same JSON object
+ * Expects text that JSON.parse already accepted.
+ * @param {string} text - JSON document
+ * @returns {string[]} Duplicated key names
+ */
+const findDuplicateJsonKeys = (text) => {
+  const duplicates = [];
+  const stack = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      let end = i + 1;
+      while (text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+
+      // A string followed by ':' inside an object is a key
+      let next = end + 1;
+      while (/\s/.test(text[next])) next++;
+      const frame = stack[stack.length - 1];
+      if (frame?.keys && text[next] === ':') {
+        const key = JSON.parse(text.slice(i, end + 1));
+        if (frame.keys.has(key)) duplicates.push(key);
+        frame.keys.add(key);
+      }
+      i = end;
+    } else if (char === '{') {
+      stack.push({ keys: new Set() });
+    } else if (char === '[') {
+      stack.push({});
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    }
+  }
+
+  return [...new Set(duplicates)];
+};
+
+// Header parameters defined by RFC 7515 that must not appear in "crit"
+const REGISTERED_HEADER_PARAMS = ['alg', 'jku', 'jwk', 'kid', 'x5u', 'x5c', 'x5t', 'x5t#S256', 'typ', 'cty', 'crit'];
+
+const hmacMatches = (digest, secret, signingInput, signature) => {
+  const expected = crypto.createHmac(digest, secret).update(signingInput).digest();
+  return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+};
+
+const redactSecret = (secret) => secret.length <= 2
+  ? '*'.repeat(secret.length)
+  : `${secret[0]}${'*'.repeat(secret.length - 2)}${secret[secret.length - 1]}`;
+
+const loadPublicKey = (publicKey) => typeof publicKey === 'string'
+  ? crypto.createPublicKey(publicKey)
+  : crypto.createPublicKey({ key: publicKey, format: 'jwk' });
+
+/**
+ * Signs a header and payload with an HMAC secret
+ * @param {object} header - JOSE header, "alg" must be HS256, HS384 or HS512
+ * @param {object|string} payload - Claims, or an already encoded payload segment
+ * @param {string|Buffer} secret - HMAC secret
+ * @returns {string} Compact JWS
+ */
+const signHmacToken = (header, payload, secret) => {
+  const digest = HMAC_ALGORITHMS[header.alg];
+  if (!digest) throw new Error(`Not an HMAC algorithm: ${header.alg}`);
+
+  const encodedPayload = typeof payload === 'string' ? payload : base64UrlEncode(JSON.stringify(payload));
+  const signingInput = `${base64UrlEncode(JSON.stringify(header))}.${encodedPayload}`;
+  return `${signingInput}.${base64UrlEncode(crypto.createHmac(digest, secret).update(signingInput).digest())}`;
+};
+
+/**
+ * Re-signs a token as HS256 with the text of its public key as HMAC secret
+ * Verifiers read the key from disk or a JWKS, so the exact secret bytes are
+ * whatever PEM text they end up holding; one token is built per variant.
+ * @returns {{secret: string, token: string}[]}
+ */
+const forgeKeyConfusionTokens = (header, encodedPayload, publicKey, keyObject = loadPublicKey(publicKey)) => {
+  const pem = keyObject.export({ type: 'spki', format: 'pem' });
+  const secrets = [...new Set([
+    typeof publicKey === 'string' ? publicKey : null,
+    pem,
+    pem.trimEnd()
+  ].filter(Boolean))];
+
+  return secrets.map(secret => ({
+    secret,
+    token: signHmacToken({ ...header, alg: 'HS256' }, encodedPayload, secret)
+  }));
+};
+
+/**
+ * Verifies a JWS signature made with an asymmetric algorithm
+ * @param {string} alg - JWS algorithm from the token header (RS256, PS384, ES512, EdDSA...)
+ * @param {string} signingInput - "<header>.<payload>" as found in the token
+ * @param {Buffer} signature - Decoded signature segment
+ * @param {crypto.KeyObject} key - Public key to verify against
+ * @returns {boolean} Whether the signature is valid
+ */
+const verifyAsymmetricSignature = (alg, signingInput, signature, key) => {
+  // EdDSA hashes internally, so no digest is passed
+  const digest = alg === 'EdDSA' ? null : `sha${alg.slice(2)}`;
+  const verifyKey = { key };
+
+  if (alg.startsWith('PS')) {
+    verifyKey.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+    verifyKey.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  if (alg.startsWith('ES')) {
+    // JOSE encodes ECDSA signatures as raw r || s instead of DER
+    verifyKey.dsaEncoding = 'ieee-p1363';
+  }
+
+  try {
+    return crypto.verify(digest, Buffer.from(signingInput), verifyKey, signature);
+  } catch (error) {
+    return false;
+  }
+};
+
+class JWTSecurityScanner extends EventEmitter {
   constructor(token, options = {}) {
+    super();
     this.token = token;
     this.issues = [];
-    this.severityLevels = {
-      HIGH: '🔴 HIGH',
-      MEDIUM: '🟡 MEDIUM',
-      LOW: '🟢 LOW'
-    };
+    this.ruleErrors = [];
+    this.severityLevels = SEVERITY_LEVELS;
     this.options = {
       checkCommonSecrets: true,
       checkAlgorithm: true,
       checkExpiration: true,
+      checkClaims: true,
+      // Name of a CLAIM_POLICY_PROFILES entry, or a policy object
+      // ({ extends: 'access', allowedIssuers: [...] })
+      profile: 'access',
       checkTokenLength: true,
       checkSignature: true,
+      checkKeyConfusion: true,
+      checkHeaderInjection: true,
+      trustedKeyHosts: [], // Hosts allowed in "jku" / "x5u" header URLs
+      publicKey: null, // PEM string or JWK object used by the key confusion check
+      jwks: null, // JWKS object, file path or URL used to verify asymmetric signatures
+      wordlist: null, // Path to a newline separated list of candidate HMAC secrets
+      wordlistMutations: [], // Any of 'case', 'leet', 'digits'
+      crackWorkers: os.cpus().length,
+      crackBatchSize: 5000,
+      crackTimeBudgetMs: 0, // 0 means no limit
+      signal: null, // AbortSignal to cancel the wordlist attack
+      redactSecrets: false,
+      rules: [], // Custom rules for this scan only, see registerRule
+      rulesDir: null, // Directory of rule modules loaded for this scan
+      // Per rule id: { enabled: false }, { severity: 'LOW' } or { weight: 10 },
+      // applies to built-in rules too
+      ruleOverrides: {},
+      // Baseline file path or object ({ suppressions: [{ ruleId, tokenFingerprint, reason, expires }] })
+      baseline: null,
       ...options
     };
+    this.policy = this.resolvePolicy(this.options.profile);
+
+    // A bad override is reported and ignored rather than scoring issues as NaN
+    Object.entries(this.options.ruleOverrides).forEach(([ruleId, override]) => {
+      if (override?.severity !== undefined && !isSeverity(override.severity)) {
+        this.ruleErrors.push({ ruleId, message: `Override has an unknown severity: ${override.severity}` });
+      }
+    });
+  }
+
+  resolvePolicy(profile) {
+    if (typeof profile === 'string') {
+      if (!Object.hasOwn(CLAIM_POLICY_PROFILES, profile)) {
+        throw new Error(`Unknown policy profile: ${profile}`);
+      }
+      return { name: profile, ...CLAIM_POLICY_PROFILES[profile] };
+    }
+
+    const { extends: base = 'access', ...overrides } = profile;
+    return { ...this.resolvePolicy(base), name: 'custom', ...overrides };
   }
 
   async scan() {
+    const { header, payload, kind, signature } = this.validateStructure();
+
+    const checks = [];
+    if (header) {
+      checks.push(
+        this.checkAlgorithmVulnerabilities(header),
+        this.checkHeaderInjection(header)
+      );
+    }
+    if (payload) {
+      checks.push(
+        this.checkExpirationIssues(payload),
+        this.checkRegisteredClaims(payload),
+        this.checkPayloadSecurity(payload)
+      );
+    }
+    if (header && kind === 'JWS' && signature) {
+      checks.push(
+        this.checkCommonSecretKeys(header),
+        this.checkSignatureStrength(header),
+        this.checkKeyConfusion(header),
+        this.checkJwksSignature(header)
+      );
+    }
+    if (kind) checks.push(this.checkTokenStrength());
+    if (header && payload) checks.push(this.runCustomRules(header, payload));
+    if (this.nestedToken !== undefined) checks.push(this.scanNestedToken());
+
+    await Promise.all(checks);
+
+    return this.generateReport();
+  }
+
+  /**
+   * Structural and encoding validation (RFC 7515 / RFC 7519 / RFC 7516)
+   * Reports every deviation as its own issue and returns whatever could be
+   * decoded, so the remaining checks run on partially valid tokens.
+   * @returns {{header?: object, payload?: object, kind?: string, signature?: boolean}}
+   */
+  validateStructure() {
+    if (typeof this.token !== 'string') {
+      this.addIssue(
+        'Invalid Token Type',
+        `Token is a ${this.token === null ? 'null' : typeof this.token}, not a string`,
+        this.severityLevels.HIGH,
+        'Pass the compact serialized token as a string'
+      );
+      return {};
+    }
+
+    if (this.token !== this.token.trim()) {
+      this.addIssue(
+        'Surrounding Whitespace',
+        'Token has leading or trailing whitespace',
+        this.severityLevels.LOW,
+        'Trim tokens before verification; compact serialization contains no whitespace'
+      );
+      this.token = this.token.trim();
+    }
+
+    if (this.token.length > MAX_TOKEN_LENGTH) {
+      this.addIssue(
+        'Oversized Token',
+        `Token is ${this.token.length} characters long`,
+        this.severityLevels.LOW,
+        `Keep tokens under ${MAX_TOKEN_LENGTH} characters to fit common header and cookie limits`
+      );
+    }
+
+    const segments = this.token.split('.');
+    if (segments.length !== 3 && segments.length !== 5) {
+      this.addIssue(
+        'Invalid Segment Count',
+        `Token has ${segments.length} segment(s); a JWS has 3 and a JWE has 5`,
+        this.severityLevels.HIGH,
+        'Reject tokens that are not in JWS or JWE compact serialization'
+      );
+      return {};
+    }
+
+    const kind = segments.length === 5 ? 'JWE' : 'JWS';
+    const header = this.decodeJsonSegment(segments[0], 'header');
+    if (header && Buffer.byteLength(JSON.stringify(header)) > MAX_HEADER_BYTES) {
+      this.addIssue(
+        'Oversized Header',
+        `Header is larger than ${MAX_HEADER_BYTES} bytes`,
+        this.severityLevels.MEDIUM,
+        'Limit header size before parsing to avoid resource exhaustion in verifiers'
+      );
+    }
+    if (header && typeof header.alg !== 'string') {
+      this.addIssue(
+        'Missing Algorithm',
+        'Header has no "alg" string parameter',
+        this.severityLevels.HIGH,
+        'Reject tokens without an "alg" header (RFC 7515 section 4.1.1)'
+      );
+    }
+
+    if (kind === 'JWE') {
+      // Only the protected header is readable without the decryption key
+      segments.slice(1).forEach((segment, index) => {
+        const name = ['encrypted key', 'initialization vector', 'ciphertext', 'authentication tag'][index];
+        this.decodeBase64UrlSegment(segment, name);
+      });
+      this.addIssue(
+        'Encrypted Token (JWE)',
+        `Token is a JWE (alg: ${header?.alg}, enc: ${header?.enc}); payload checks were skipped`,
+        this.severityLevels.LOW,
+        'Decrypt the token and scan the inner JWT to check its claims'
+      );
+      if (header && ['RSA1_5', 'dir'].includes(header.alg)) {
+        this.addIssue(
+          'Weak Key Management Algorithm',
+          header.alg === 'RSA1_5'
+            ? 'JWE uses RSA1_5, which is vulnerable to padding oracle attacks'
+            : 'JWE uses "dir", sharing one content encryption key across all tokens',
+          this.severityLevels.MEDIUM,
+          'Use RSA-OAEP-256 or ECDH-ES key management'
+        );
+      }
+      return { header, kind };
+    }
+
+    let payload = null;
+    const isNested = typeof header?.cty === 'string' && header.cty.toUpperCase() === 'JWT';
+    if (isNested) {
+      const inner = this.decodeBase64UrlSegment(segments[1], 'payload');
+      this.nestedToken = inner ? inner.toString('utf8') : null;
+    } else {
+      payload = this.decodeJsonSegment(segments[1], 'payload');
+    }
+
+    const signature = this.decodeBase64UrlSegment(segments[2], 'signature');
+    if (signature && signature.length === 0 && header && String(header.alg).toLowerCase() !== 'none') {
+      this.addIssue(
+        'Missing Signature',
+        `Header declares ${header.alg} but the signature segment is empty`,
+        this.severityLevels.HIGH,
+        'Reject tokens whose signature does not match the declared algorithm'
+      );
+    }
+
+    return { header, payload, kind, signature: Boolean(signature && signature.length > 0) };
+  }
+
+  // cty: "JWT" means the payload is itself a signed or encrypted token
+  async scanNestedToken() {
+    this.addIssue(
+      'Nested JWT',
+      'Payload is a nested JWT (cty: "JWT"); its issues are reported as "Nested token"',
+      this.severityLevels.LOW,
+      'Make sure verifiers validate both the outer and the inner token'
+    );
+    if (!this.nestedToken) return;
+
+    const report = await new JWTSecurityScanner(this.nestedToken, this.options).scan();
+    report.issues.forEach(issue => {
+      this.recordIssue({
+        ...issue,
+        description: `Nested token: ${issue.description}`,
+        details: { ...issue.details, nested: true }
+      });
+    });
+    this.ruleErrors.push(...(report.ruleErrors || []));
+  }
+
+  /**
+   * Strict base64url decoding of one segment (RFC 7515 section 2)
+   * @returns {Buffer|null} Decoded bytes, or null when the segment cannot be decoded
+   */
+  decodeBase64UrlSegment(segment, name) {
+    if (/[^A-Za-z0-9_\-+/=]/.test(segment)) {
+      this.addIssue(
+        'Invalid Base64url Characters',
+        `The ${name} segment contains characters outside the base64url alphabet`,
+        this.severityLevels.HIGH,
+        'Reject tokens with segments that are not base64url encoded'
+      );
+      return null;
+    }
+    if (/[+/]/.test(segment)) {
+      this.addIssue(
+        'Non-base64url Characters',
+        `The ${name} segment uses the standard base64 alphabet ("+" or "/")`,
+        this.severityLevels.MEDIUM,
+        'Encode segments with base64url; lenient decoders may accept tokens strict ones reject'
+      );
+    }
+    if (segment.includes('=')) {
+      this.addIssue(
+        'Base64 Padding',
+        `The ${name} segment is padded with "="`,
+        this.severityLevels.LOW,
+        'Strip base64 padding from JWT segments'
+      );
+    }
+
+    const normalized = segment.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+    if (normalized.length % 4 === 1) {
+      this.addIssue(
+        'Invalid Base64url Length',
+        `The ${name} segment length is not a valid base64url length`,
+        this.severityLevels.HIGH,
+        'Reject tokens with truncated segments'
+      );
+      return null;
+    }
+
+    // Unused trailing bits let different strings decode to the same bytes
+    const decoded = Buffer.from(normalized, 'base64');
+    if (base64UrlEncode(decoded) !== normalized) {
+      this.addIssue(
+        'Non-canonical Base64url',
+        `The ${name} segment has non-zero trailing bits`,
+        this.severityLevels.LOW,
+        'Compare tokens by decoded value, or reject non-canonical encodings'
+      );
+    }
+    return decoded;
+  }
+
+  decodeJsonSegment(segment, name) {
+    const bytes = this.decodeBase64UrlSegment(segment, name);
+    if (!bytes) return null;
+
+    let text;
     try {
-      const [header, payload] = this.token.split('.');
-      const decodedHeader = JSON.parse(Buffer.from(header, 'base64').toString());
-      const decodedPayload = JSON.parse(Buffer.from(payload, 'base64').toString());
-
-      await Promise.all([
-        this.checkAlgorithmVulnerabilities(decodedHeader),
-        this.checkExpirationIssues(decodedPayload),
-        this.checkPayloadSecurity(decodedPayload),
-        this.checkTokenStrength(),
-        this.checkCommonSecretKeys(),
-        this.checkSignatureStrength(decodedHeader)
-      ]);
-
-      return this.generateReport();
+      text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
     } catch (error) {
-      throw new Error(`Invalid JWT format: ${error.message}`);
+      this.addIssue(
+        'Invalid UTF-8',
+        `The ${name} segment is not valid UTF-8`,
+        this.severityLevels.MEDIUM,
+        'Encode JOSE headers and claims sets as UTF-8 JSON'
+      );
+      text = bytes.toString('utf8');
+    }
+
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (error) {
+      this.addIssue(
+        'Invalid JSON',
+        `The ${name} segment is not valid JSON: ${error.message}`,
+        this.severityLevels.HIGH,
+        'Reject tokens whose header or payload is not JSON'
+      );
+      return null;
     }
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      this.addIssue(
+        'Non-object JSON',
+        `The ${name} segment is JSON ${Array.isArray(value) ? 'array' : typeof value}, not an object`,
+        this.severityLevels.MEDIUM,
+        'Reject tokens whose header or claims set is not a JSON object'
+      );
+      return null;
+    }
+
+    const duplicates = findDuplicateJsonKeys(text);
+    if (duplicates.length > 0) {
+      this.addIssue(
+        'Duplicate JSON Keys',
+        `The ${name} segment repeats keys: ${duplicates.join(', ')}`,
+        this.severityLevels.MEDIUM,
+        'Reject JSON with duplicate member names; parsers disagree on which value wins'
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Runs registered, per-scan and directory-loaded custom rules
+   * A rule check receives { header, payload, segments, token, options } and
+   * returns nothing, one finding or an array of findings
+   * ({ description, title?, severity?, recommendation?, details? }).
+   */
+  async runCustomRules(header, payload) {
+    const rules = new Map(CUSTOM_RULES);
+    if (this.options.rulesDir) {
+      JWTSecurityScanner.loadRules(this.options.rulesDir, false).forEach(rule => rules.set(rule.id, rule));
+    }
+    this.options.rules.map(normalizeRule).forEach(rule => rules.set(rule.id, rule));
+
+    const [encodedHeader, encodedPayload, encodedSignature = ''] = this.token.split('.');
+    const context = {
+      header,
+      payload,
+      segments: { header: encodedHeader, payload: encodedPayload, signature: encodedSignature },
+      token: this.token,
+      options: this.options
+    };
+
+    await Promise.all([...rules.values()].map(async rule => {
+      if (this.options.ruleOverrides[rule.id]?.enabled === false) return;
+
+      try {
+        const result = await rule.check(context);
+        const findings = result ? [].concat(result) : [];
+        findings.forEach(finding => {
+          // An unknown severity would score as NaN; keep the finding at the rule's severity
+          if (finding.severity !== undefined && !isSeverity(finding.severity)) {
+            this.ruleErrors.push({ ruleId: rule.id, message: `Finding has an unknown severity: ${finding.severity}` });
+          }
+          this.recordIssue({
+            ruleId: rule.id,
+            title: finding.title || rule.title,
+            description: finding.description,
+            severity: this.severityLevels[isSeverity(finding.severity) ? finding.severity : rule.severity],
+            recommendation: finding.recommendation || rule.recommendation,
+            details: finding.details,
+            cwe: rule.cwe,
+            weight: rule.weight,
+            confidence: rule.confidence,
+            references: rule.references
+          });
+        });
+      } catch (error) {
+        // A broken rule should not hide the results of every other check
+        this.ruleErrors.push({ ruleId: rule.id, message: error.message });
+      }
+    }));
   }
 
   async checkAlgorithmVulnerabilities(header) {
-    if (!this.options.checkAlgorithm) return;
+    if (!this.options.checkAlgorithm || typeof header.alg !== 'string') return;
 
     // Check for 'none' algorithm
     if (header.alg.toLowerCase() === 'none') {
@@ -67,46 +1029,538 @@ class JWTSecurityScanner {
     }
   }
 
+  /**
+   * RS256 -> HS256 key confusion check
+   * Re-signs the token as HS256 using the public key bytes as the HMAC secret.
+   * A verifier that trusts the header "alg" and passes its public key to a
+   * generic verify() call will accept the forged token.
+   */
+  async checkKeyConfusion(header) {
+    if (!this.options.checkKeyConfusion || !this.options.publicKey) return;
+    if (typeof header.alg !== 'string' || !ASYMMETRIC_ALGORITHMS.test(header.alg)) return;
+
+    let keyObject;
+    try {
+      keyObject = loadPublicKey(this.options.publicKey);
+    } catch (error) {
+      this.addIssue(
+        'Key Confusion Check Skipped',
+        `Unable to load public key: ${error.message}`,
+        this.severityLevels.LOW,
+        'Provide the public key as a PEM string or JWK object to run the key confusion check'
+      );
+      return;
+    }
+
+    // Only a key that actually signed this token makes the forged token meaningful
+    const [encodedHeader, encodedPayload, encodedSignature] = this.token.split('.');
+    const originalSignature = Buffer.from(encodedSignature, 'base64');
+    if (!verifyAsymmetricSignature(header.alg, `${encodedHeader}.${encodedPayload}`, originalSignature, keyObject)) {
+      this.addIssue(
+        'Key Confusion Check Skipped',
+        `Supplied public key does not verify the ${header.alg} signature of this token`,
+        this.severityLevels.LOW,
+        'Provide the public key that matches the token issuer to run the key confusion check'
+      );
+      return;
+    }
+
+    const forged = forgeKeyConfusionTokens(header, encodedPayload, this.options.publicKey, keyObject);
+    const proofTokens = forged.map(({ token }) => token);
+
+    // Check whether the installed jsonwebtoken, called without an algorithms
+    // allowlist, still falls for it (versions before 9 do)
+    const acceptedByLibrary = proofTokens.some((token, i) => {
+      try {
+        jwt.verify(token, forged[i].secret);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+
+    this.addIssue(
+      'Algorithm Key Confusion',
+      `Token signed with ${header.alg} can be forged as HS256 using the public key as HMAC secret`,
+      this.severityLevels.HIGH,
+      'Pin the expected algorithms on the verifier (e.g. algorithms: ["RS256"]) and never reuse asymmetric keys as HMAC secrets',
+      {
+        originalAlgorithm: header.alg,
+        proofToken: proofTokens[0],
+        proofTokenVariants: proofTokens.slice(1),
+        acceptedByLibrary
+      }
+    );
+  }
+
+  /**
+   * Verifies RS/PS/ES/EdDSA signatures against a JWKS
+   * Keys are selected by "kid" (or by key type when the token has none) and
+   * audited for size, curve and use/alg constraints.
+   */
+  async checkJwksSignature(header) {
+    if (!this.options.checkSignature || !this.options.jwks || typeof header.alg !== 'string') return;
+
+    const family = header.alg === 'EdDSA' ? 'Ed' : header.alg.slice(0, 2);
+    const keyType = JWKS_KEY_TYPES[family];
+    if (!keyType || (family !== 'Ed' && !ASYMMETRIC_ALGORITHMS.test(header.alg))) return;
+
+    let jwks;
+    try {
+      jwks = await loadJwks(this.options.jwks);
+    } catch (error) {
+      // An unreachable or broken JWKS must not hide the results of the other checks
+      this.addIssue(
+        'JWKS Check Skipped',
+        `Unable to load JWKS: ${error.message}`,
+        this.severityLevels.LOW,
+        'Provide a reachable JWKS document (object, file path or URL) to verify the signature'
+      );
+      return;
+    }
+
+    // Whatever key we pick, a published private or symmetric key is a leak
+    jwks.keys.forEach(jwk => {
+      if (jwk.kty === 'oct') {
+        this.addIssue(
+          'Symmetric Key in JWKS',
+          `JWKS publishes symmetric key material (kid: ${jwk.kid ?? 'none'})`,
+          this.severityLevels.HIGH,
+          'Remove "oct" keys from public JWKS documents and rotate the exposed secret',
+          { kid: jwk.kid }
+        );
+      } else if ('d' in jwk) {
+        this.addIssue(
+          'Private Key in JWKS',
+          `JWKS publishes a private key (kid: ${jwk.kid ?? 'none'})`,
+          this.severityLevels.HIGH,
+          'Publish only public key parameters and rotate the exposed key pair',
+          { kid: jwk.kid }
+        );
+      }
+    });
+
+    let candidates;
+    if (header.kid !== undefined) {
+      candidates = jwks.keys.filter(jwk => jwk.kid === header.kid);
+      if (candidates.length === 0) {
+        this.addIssue(
+          'Unknown Key ID',
+          `No key in the JWKS has kid ${JSON.stringify(header.kid)}`,
+          this.severityLevels.HIGH,
+          'Reject tokens whose "kid" is not in the trusted JWKS',
+          { kid: header.kid, knownKids: jwks.keys.map(jwk => jwk.kid).filter(Boolean) }
+        );
+        return;
+      }
+    } else {
+      candidates = jwks.keys.filter(jwk => jwk.kty === keyType);
+      if (candidates.length > 1) {
+        this.addIssue(
+          'Missing kid',
+          `Token has no "kid"; ${candidates.length} ${keyType} keys had to be tried`,
+          this.severityLevels.LOW,
+          'Include "kid" in tokens so verifiers select a single key'
+        );
+      }
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = this.token.split('.');
+    const signingInput = `${encodedHeader}.${encodedPayload}`;
+    const signature = Buffer.from(encodedSignature, 'base64');
+
+    let verifiedKey = null;
+    for (const jwk of candidates) {
+      this.auditJwk(jwk, header.alg, keyType);
+
+      let keyObject;
+      try {
+        keyObject = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      } catch (error) {
+        continue;
+      }
+      if (!verifiedKey && verifyAsymmetricSignature(header.alg, signingInput, signature, keyObject)) {
+        verifiedKey = jwk;
+      }
+    }
+
+    if (!verifiedKey) {
+      this.addIssue(
+        'Invalid Signature',
+        `${header.alg} signature does not verify with ${candidates.length === 1 ? 'the JWKS key' : `any of ${candidates.length} JWKS keys`}`,
+        this.severityLevels.HIGH,
+        'Reject the token; it was not signed by a key in the trusted JWKS',
+        { kids: candidates.map(jwk => jwk.kid) }
+      );
+    }
+  }
+
+  auditJwk(jwk, alg, keyType) {
+    const kid = jwk.kid ?? 'none';
+
+    if (jwk.kty !== keyType || (jwk.alg && jwk.alg !== alg) ||
+      (ECDSA_CURVES[alg] && jwk.crv && jwk.crv !== ECDSA_CURVES[alg])) {
+      this.addIssue(
+        'Key Algorithm Mismatch',
+        `Key ${kid} (${jwk.kty}${jwk.crv ? ` ${jwk.crv}` : ''}${jwk.alg ? `, alg ${jwk.alg}` : ''}) does not match token alg ${alg}`,
+        this.severityLevels.HIGH,
+        'Select keys by both "kid" and algorithm, and reject tokens whose alg differs from the key',
+        { kid: jwk.kid }
+      );
+    }
+    if (jwk.use && jwk.use !== 'sig') {
+      this.addIssue(
+        'Key Use Mismatch',
+        `Key ${kid} is published for "${jwk.use}", not signatures`,
+        this.severityLevels.MEDIUM,
+        'Only verify signatures with keys whose "use" is "sig"',
+        { kid: jwk.kid }
+      );
+    }
+    if (!jwk.use && !jwk.key_ops && !jwk.alg) {
+      this.addIssue(
+        'Unconstrained Key',
+        `Key ${kid} declares neither "use" nor "alg"`,
+        this.severityLevels.LOW,
+        'Publish "use": "sig" and "alg" with each key to prevent cross-algorithm use',
+        { kid: jwk.kid }
+      );
+    }
+
+    if (jwk.kty === 'RSA' && typeof jwk.n === 'string') {
+      const modulus = Buffer.from(jwk.n, 'base64');
+      const bits = modulus.length * 8 - Math.clz32(modulus[0] || 0) + 24;
+      if (bits < MIN_RSA_MODULUS_BITS) {
+        this.addIssue(
+          'Weak RSA Key',
+          `Key ${kid} has a ${bits}-bit RSA modulus`,
+          this.severityLevels.HIGH,
+          `Use RSA keys of at least ${MIN_RSA_MODULUS_BITS} bits`,
+          { kid: jwk.kid, bits }
+        );
+      }
+    }
+    if ((jwk.kty === 'EC' || jwk.kty === 'OKP') && !RECOMMENDED_CURVES.includes(jwk.crv)) {
+      this.addIssue(
+        'Non-recommended Curve',
+        `Key ${kid} uses curve ${jwk.crv}`,
+        this.severityLevels.MEDIUM,
+        `Use one of ${RECOMMENDED_CURVES.join(', ')}`,
+        { kid: jwk.kid, crv: jwk.crv }
+      );
+    }
+  }
+
+  async checkHeaderInjection(header) {
+    if (!this.options.checkHeaderInjection) return;
+
+    // kid is often used as a file path, SQL key or shell argument by key lookups
+    if (header.kid !== undefined) {
+      if (typeof header.kid !== 'string') {
+        this.addIssue(
+          'Unexpected kid Type',
+          `Header "kid" is a ${typeof header.kid}, not a string`,
+          this.severityLevels.MEDIUM,
+          'Reject tokens whose "kid" is not a string before looking up keys'
+        );
+      } else {
+        KID_INJECTION_PATTERNS
+          .filter(({ pattern }) => pattern.test(header.kid))
+          .forEach(({ title, recommendation }) => {
+            this.addIssue(
+              title,
+              `Header "kid" contains suspicious characters: ${JSON.stringify(header.kid)}`,
+              this.severityLevels.HIGH,
+              recommendation,
+              { kid: header.kid }
+            );
+          });
+      }
+    }
+
+    // jku / x5u make the verifier fetch keys from a URL chosen by the token
+    ['jku', 'x5u'].filter(param => header[param] !== undefined).forEach(param => {
+      let url;
+      try {
+        url = new URL(header[param]);
+      } catch (error) {
+        this.addIssue(
+          `Invalid ${param} URL`,
+          `Header "${param}" is not a valid URL: ${JSON.stringify(header[param])}`,
+          this.severityLevels.MEDIUM,
+          `Reject tokens with a malformed "${param}" header`
+        );
+        return;
+      }
+
+      if (!this.options.trustedKeyHosts.includes(url.hostname)) {
+        this.addIssue(
+          `Untrusted ${param} Host`,
+          `Header "${param}" points to a host outside the allowlist: ${url.hostname}`,
+          this.severityLevels.HIGH,
+          `Ignore "${param}" or only fetch keys from an allowlist of trusted hosts`,
+          { url: url.href }
+        );
+      }
+      if (url.protocol !== 'https:') {
+        this.addIssue(
+          `Insecure ${param} Transport`,
+          `Header "${param}" uses ${url.protocol.slice(0, -1)} instead of https`,
+          this.severityLevels.MEDIUM,
+          `Only fetch "${param}" resources over https`,
+          { url: url.href }
+        );
+      }
+    });
+
+    // An embedded public key lets the token vouch for itself
+    if (header.jwk !== undefined) {
+      const hasPrivateParams = typeof header.jwk === 'object' && header.jwk !== null &&
+        ['d', 'p', 'q', 'dp', 'dq', 'qi', 'k'].some(param => param in header.jwk);
+      this.addIssue(
+        'Embedded JWK',
+        hasPrivateParams
+          ? 'Header embeds a "jwk" that includes private or symmetric key material'
+          : 'Header embeds a "jwk" public key that a verifier may trust to check the signature',
+        this.severityLevels.HIGH,
+        'Ignore header "jwk" values and verify with keys from a trusted key store',
+        { kty: header.jwk?.kty, kid: header.jwk?.kid }
+      );
+    }
+
+    // crit lists extensions the verifier must understand or reject the token
+    if (header.crit !== undefined) {
+      const crit = header.crit;
+      if (!Array.isArray(crit) || crit.length === 0 || crit.some(name => typeof name !== 'string')) {
+        this.addIssue(
+          'Malformed crit Header',
+          'Header "crit" must be a non-empty array of parameter names',
+          this.severityLevels.MEDIUM,
+          'Reject tokens with a malformed "crit" header'
+        );
+        return;
+      }
+
+      const registered = crit.filter(name => REGISTERED_HEADER_PARAMS.includes(name));
+      const missing = crit.filter(name => !(name in header));
+      const extensions = crit.filter(name => !registered.includes(name) && !missing.includes(name));
+
+      if (registered.length > 0 || missing.length > 0) {
+        this.addIssue(
+          'Invalid crit Parameters',
+          `Header "crit" lists registered or absent parameters: ${[...registered, ...missing].join(', ')}`,
+          this.severityLevels.MEDIUM,
+          'Reject tokens whose "crit" violates RFC 7515 section 4.1.11',
+          { registered, missing }
+        );
+      }
+      if (extensions.length > 0) {
+        this.addIssue(
+          'Critical Header Extensions',
+          `Token requires header extensions the verifier may silently ignore: ${extensions.join(', ')}`,
+          this.severityLevels.MEDIUM,
+          'Ensure the verifier rejects tokens with "crit" extensions it does not implement',
+          { extensions }
+        );
+      }
+    }
+  }
+
   async checkExpirationIssues(payload) {
     if (!this.options.checkExpiration) return;
 
-    if (!payload.exp) {
+    const { maxLifetime, clockSkew } = this.policy;
+    const now = Math.floor(Date.now() / 1000);
+
+    const timeClaims = ['exp', 'nbf', 'iat'].filter(claim => payload[claim] !== undefined);
+    const invalidClaims = timeClaims.filter(claim => !Number.isFinite(payload[claim]));
+    if (invalidClaims.length > 0) {
+      this.addIssue(
+        'Invalid NumericDate',
+        `Claims are not numeric timestamps: ${invalidClaims.join(', ')}`,
+        this.severityLevels.MEDIUM,
+        'Encode "exp", "nbf" and "iat" as seconds since the epoch (RFC 7519 section 2)'
+      );
+    }
+    const isValid = (claim) => timeClaims.includes(claim) && !invalidClaims.includes(claim);
+
+    if (payload.exp === undefined) {
       this.addIssue(
         'Missing Expiration',
         'Token does not have an expiration claim',
         this.severityLevels.HIGH,
         'Add "exp" claim to token payload'
       );
-    } else {
-      const expirationDate = new Date(payload.exp * 1000);
-      const now = new Date();
-      const monthsUntilExpiration = (expirationDate - now) / (1000 * 60 * 60 * 24 * 30);
+    } else if (isValid('exp')) {
+      if (payload.exp + clockSkew < now) {
+        this.addIssue(
+          'Expired Token',
+          `Token expired ${formatDuration(now - payload.exp)} ago`,
+          this.severityLevels.LOW,
+          'Make sure verifiers reject expired tokens and clients refresh them'
+        );
+      }
 
-      if (monthsUntilExpiration > 1) {
+      // Lifetime is measured from issuance when known, otherwise from now
+      const issuedAt = isValid('iat') ? payload.iat : now;
+      const lifetime = payload.exp - issuedAt;
+      if (lifetime > maxLifetime) {
         this.addIssue(
           'Long Expiration Time',
-          `Token expires in ${Math.round(monthsUntilExpiration)} months`,
+          `Token lifetime is ${formatDuration(lifetime)}, above the ${formatDuration(maxLifetime)} allowed by the ${this.policy.name} profile`,
           this.severityLevels.MEDIUM,
-          'Reduce token expiration time to less than 1 hour for access tokens'
+          `Reduce token lifetime to at most ${formatDuration(maxLifetime)} for ${this.policy.name} tokens`,
+          { lifetime, maxLifetime }
         );
       }
-    }
-  }
+    }
+
+    if (isValid('nbf') && payload.nbf - clockSkew > now) {
+      this.addIssue(
+        'Token Not Yet Valid',
+        `Token becomes valid in ${formatDuration(payload.nbf - now)}`,
+        this.severityLevels.LOW,
+        'Make sure verifiers enforce "nbf" with a bounded clock skew'
+      );
+    }
+
+    if (isValid('iat') && payload.iat - clockSkew > now) {
+      this.addIssue(
+        'Issued In The Future',
+        `Token "iat" is ${formatDuration(payload.iat - now)} in the future`,
+        this.severityLevels.MEDIUM,
+        'Check the issuer clock and reject tokens issued in the future'
+      );
+    }
+  }
+
+  async checkRegisteredClaims(payload) {
+    if (!this.options.checkClaims) return;
+
+    const { requiredClaims, allowedIssuers, allowedAudiences } = this.policy;
+
+    // Missing "exp" is already reported by checkExpirationIssues
+    const missingClaims = requiredClaims.filter(claim => claim !== 'exp' && payload[claim] === undefined);
+    if (missingClaims.length > 0) {
+      this.addIssue(
+        'Missing Required Claims',
+        `Token is missing claims required by the ${this.policy.name} profile: ${missingClaims.join(', ')}`,
+        this.severityLevels.MEDIUM,
+        `Include ${missingClaims.map(claim => `"${claim}"`).join(', ')} in ${this.policy.name} tokens`,
+        { missingClaims }
+      );
+    }
+
+    const nonStringClaims = ['iss', 'sub', 'jti']
+      .filter(claim => payload[claim] !== undefined && typeof payload[claim] !== 'string');
+    if (nonStringClaims.length > 0) {
+      this.addIssue(
+        'Invalid Claim Type',
+        `Claims must be strings: ${nonStringClaims.join(', ')}`,
+        this.severityLevels.MEDIUM,
+        'Encode "iss", "sub" and "jti" as strings (RFC 7519 section 4.1)'
+      );
+    }
+
+    if (payload.iss !== undefined && allowedIssuers.length > 0 && !allowedIssuers.includes(payload.iss)) {
+      this.addIssue(
+        'Untrusted Issuer',
+        `Token issuer is not allowed: ${JSON.stringify(payload.iss)}`,
+        this.severityLevels.HIGH,
+        'Only accept tokens from the configured issuers',
+        { issuer: payload.iss, allowedIssuers }
+      );
+    }
+
+    if (payload.aud !== undefined) {
+      const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (audiences.length === 0 || audiences.some(audience => typeof audience !== 'string')) {
+        this.addIssue(
+          'Invalid Audience',
+          'Claim "aud" must be a string or a non-empty array of strings',
+          this.severityLevels.MEDIUM,
+          'Encode "aud" as a string or an array of strings (RFC 7519 section 4.1.3)'
+        );
+      } else if (allowedAudiences.length > 0 && !audiences.some(audience => allowedAudiences.includes(audience))) {
+        this.addIssue(
+          'Audience Mismatch',
+          `Token audience does not match any allowed audience: ${audiences.join(', ')}`,
+          this.severityLevels.HIGH,
+          'Verify "aud" against the audiences this service accepts',
+          { audiences, allowedAudiences }
+        );
+      }
+    }
+  }
+
+  async checkPayloadSecurity(payload) {
+    const sensitiveKeyPaths = [];
+    const findings = [];
+
+    // Walk every nested claim, remembering its JSONPath
+    const visit = (value, path, key, depth) => {
+      if (depth > 32) return;
+
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => visit(item, `${path}[${index}]`, key, depth + 1));
+        return;
+      }
+      if (value !== null && typeof value === 'object') {
+        Object.entries(value).forEach(([childKey, child]) => {
+          const childPath = /^[A-Za-z_$][\w$]*$/.test(childKey)
+            ? `${path}.${childKey}`
+            : `${path}[${JSON.stringify(childKey)}]`;
+          if (SENSITIVE_KEY_NAMES.some(field => childKey.toLowerCase().includes(field))) {
+            sensitiveKeyPaths.push(childPath);
+          }
+          visit(child, childPath, childKey, depth + 1);
+        });
+        return;
+      }
+      if (typeof value !== 'string' && typeof value !== 'number') return;
 
-  async checkPayloadSecurity(payload) {
-    // Check for sensitive information in payload
-    const sensitiveFields = ['password', 'secret', 'apiKey', 'ssn', 'creditCard'];
-    const foundSensitiveFields = Object.keys(payload)
-      .filter(key => sensitiveFields.some(field => key.toLowerCase().includes(field)));
+      const text = String(value);
+      let matched = false;
+      SENSITIVE_VALUE_DETECTORS.forEach(detector => {
+        detector.find(text).forEach(match => {
+          matched = true;
+          findings.push({ detector, path, sample: detector.mask(match) });
+        });
+      });
 
-    if (foundSensitiveFields.length > 0) {
+      // Long random-looking strings are usually secrets or credentials
+      if (!matched && typeof value === 'string' && !RANDOM_BY_DESIGN_CLAIMS.includes(key) &&
+        text.length >= 24 && /^[A-Za-z0-9+/=_.-]+$/.test(text) &&
+        /[a-z]/.test(text) && /[A-Z]/.test(text) && /\d/.test(text) &&
+        !new RegExp(JWT_PATTERN.source).test(text) && shannonEntropy(text) >= 4.2) {
+        findings.push({
+          detector: { title: 'High Entropy Value in Payload', label: 'a secret', severity: 'MEDIUM', heuristic: true },
+          path,
+          sample: maskValue(text, 3)
+        });
+      }
+    };
+    visit(payload, '$', null, 0);
+
+    if (sensitiveKeyPaths.length > 0) {
       this.addIssue(
         'Sensitive Data Exposure',
-        `Token contains sensitive fields: ${foundSensitiveFields.join(', ')}`,
+        `Token contains sensitive fields: ${sensitiveKeyPaths.join(', ')}`,
         this.severityLevels.HIGH,
-        'Remove sensitive information from token payload'
+        'Remove sensitive information from token payload',
+        { paths: sensitiveKeyPaths }
       );
     }
+
+    findings.forEach(({ detector, path, sample }) => {
+      this.addIssue(
+        detector.title,
+        `Claim ${path} contains a value that looks like ${detector.label}: ${sample}`,
+        this.severityLevels[detector.severity],
+        'JWT payloads are only base64url encoded; keep personal data and secrets out of tokens or use JWE',
+        { path, sample, heuristic: Boolean(detector.heuristic) }
+      );
+    });
   }
 
   async checkTokenStrength() {
@@ -122,9 +1576,12 @@ class JWTSecurityScanner {
     }
   }
 
-  async checkCommonSecretKeys() {
+  async checkCommonSecretKeys(header) {
     if (!this.options.checkCommonSecrets) return;
 
+    const digest = HMAC_ALGORITHMS[header.alg];
+    if (!digest) return;
+
     const commonSecrets = [
       'secret',
       'your-256-bit-secret',
@@ -133,24 +1590,179 @@ class JWTSecurityScanner {
       'mysecretkey'
     ];
 
-    for (const secret of commonSecrets) {
+    // Compare raw HMACs so expired or not-yet-valid tokens are still tested
+    const [encodedHeader, encodedPayload, encodedSignature] = this.token.split('.');
+    const signingInput = `${encodedHeader}.${encodedPayload}`;
+    const signature = Buffer.from(encodedSignature, 'base64');
+
+    let source = 'common';
+    let secret = commonSecrets.find(candidate => hmacMatches(digest, candidate, signingInput, signature));
+
+    if (!secret && this.options.wordlist) {
+      source = 'wordlist';
       try {
-        jwt.verify(this.token, secret);
+        this.crackStats = await this.crackSecretWithWordlist(digest, signingInput, encodedSignature);
+        secret = this.crackStats.secret;
+        delete this.crackStats.secret;
+      } catch (error) {
+        // A missing or unreadable wordlist must not hide the results of the other checks
         this.addIssue(
-          'Weak Secret Key',
-          'Token can be verified with a common secret key',
-          this.severityLevels.HIGH,
-          'Use a strong, unique secret key with high entropy'
+          'Wordlist Check Skipped',
+          `Unable to run the wordlist attack: ${error.message}`,
+          this.severityLevels.LOW,
+          'Provide a readable wordlist file to test the HMAC secret'
         );
-        break;
-      } catch (error) {
-        // Expected error for invalid secrets
       }
     }
+
+    if (secret) {
+      this.addIssue(
+        'Weak Secret Key',
+        source === 'common'
+          ? 'Token can be verified with a common secret key'
+          : 'Token secret was recovered from the supplied wordlist',
+        this.severityLevels.HIGH,
+        'Use a strong, unique secret key with high entropy',
+        {
+          algorithm: header.alg,
+          source,
+          secret: this.options.redactSecrets ? redactSecret(secret) : secret
+        }
+      );
+    }
+  }
+
+  /**
+   * Dictionary attack on the HMAC secret
+   * Streams the wordlist in batches to a pool of worker threads, emitting
+   * "progress" events as batches complete. Stops on the first match, when
+   * the time budget runs out or when options.signal is aborted.
+   */
+  async crackSecretWithWordlist(digest, signingInput, encodedSignature) {
+    const {
+      wordlist,
+      wordlistMutations,
+      crackWorkers,
+      crackBatchSize,
+      crackTimeBudgetMs,
+      signal
+    } = this.options;
+
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const abort = (reason) => {
+      if (!controller.signal.aborted) controller.abort(reason);
+    };
+    const onExternalAbort = () => abort('cancelled');
+    if (signal?.aborted) abort('cancelled');
+    signal?.addEventListener('abort', onExternalAbort, { once: true });
+    const timer = crackTimeBudgetMs > 0
+      ? setTimeout(() => abort('time budget exceeded'), crackTimeBudgetMs)
+      : null;
+
+    // Opened before any worker starts, so a bad path fails fast
+    let handle;
+    try {
+      handle = await fs.promises.open(wordlist, 'r');
+    } catch (error) {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onExternalAbort);
+      throw error;
+    }
+    const input = handle.createReadStream();
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const lineIterator = lines[Symbol.asyncIterator]();
+
+    // Serialize reads so concurrent runners never interleave within a batch
+    let readQueue = Promise.resolve();
+    const nextBatch = () => {
+      const read = readQueue.then(async () => {
+        const batch = [];
+        while (batch.length < crackBatchSize) {
+          const { value, done } = await lineIterator.next();
+          if (done) break;
+          if (value) batch.push(value);
+        }
+        return batch;
+      });
+      readQueue = read.catch(() => {});
+      return read;
+    };
+
+    const workers = Array.from({ length: Math.max(1, crackWorkers) }, () => new Worker(__filename, {
+      workerData: {
+        task: 'crack-hmac-secret',
+        digest,
+        signingInput,
+        signature: encodedSignature,
+        mutations: wordlistMutations
+      }
+    }));
+
+    const runBatch = (worker, batch) => new Promise((resolve, reject) => {
+      const cleanup = () => {
+        worker.off('message', onMessage);
+        worker.off('error', onError);
+        worker.off('exit', onExit);
+      };
+      const onMessage = (result) => { cleanup(); resolve(result); };
+      const onError = (error) => { cleanup(); reject(error); };
+      const onExit = () => { cleanup(); resolve({ tested: 0, secret: null }); };
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      worker.on('exit', onExit);
+      worker.postMessage(batch);
+    });
+
+    let tested = 0;
+    let secret = null;
+
+    const runner = async (worker) => {
+      while (!controller.signal.aborted) {
+        const batch = await nextBatch();
+        if (batch.length === 0 || controller.signal.aborted) return;
+
+        const result = await runBatch(worker, batch);
+        tested += result.tested;
+
+        const elapsedMs = Date.now() - startedAt;
+        this.emit('progress', {
+          tested,
+          elapsedMs,
+          candidatesPerSecond: Math.round(tested / Math.max(elapsedMs / 1000, 0.001))
+        });
+
+        if (result.secret !== null) {
+          secret = result.secret;
+          abort('found');
+        }
+      }
+    };
+
+    const terminateWorkers = () => Promise.all(workers.map(worker => worker.terminate()));
+    controller.signal.addEventListener('abort', terminateWorkers, { once: true });
+
+    try {
+      await Promise.all(workers.map(runner));
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onExternalAbort);
+      lines.close();
+      input.destroy();
+      await terminateWorkers();
+    }
+
+    return {
+      secret,
+      tested,
+      elapsedMs: Date.now() - startedAt,
+      completed: !controller.signal.aborted,
+      stopReason: controller.signal.aborted ? controller.signal.reason : 'wordlist exhausted'
+    };
   }
 
   async checkSignatureStrength(header) {
-    if (!this.options.checkSignature) return;
+    if (!this.options.checkSignature || typeof header.alg !== 'string') return;
 
     if (header.alg.startsWith('HS')) {
       const signaturePart = this.token.split('.')[2];
@@ -167,31 +1779,92 @@ class JWTSecurityScanner {
     }
   }
 
-  addIssue(title, description, severity, recommendation) {
+  addIssue(title, description, severity, recommendation, details) {
+    this.recordIssue({ ruleId: ruleIdFor(title), title, description, severity, recommendation, details });
+  }
+
+  recordIssue({ ruleId, title, description, severity, recommendation, details, ...metadata }) {
+    const override = this.options.ruleOverrides[ruleId] || {};
+    if (override.enabled === false) return;
+
+    const severityLabel = isSeverity(override.severity) ? this.severityLevels[override.severity] : severity;
+    const builtIn = RULE_METADATA[ruleId] || {};
+    const cweValue = metadata.cwe !== undefined ? metadata.cwe : builtIn.cwe;
+    const cweNumber = cweValue ? Number(String(cweValue).replace(/^CWE-/i, '')) : null;
+    const confidence = metadata.confidence || (builtIn.heuristic ? 'heuristic' : 'certain');
+
     this.issues.push({
+      ruleId,
       title,
       description,
-      severity,
-      recommendation
+      severity: severityLabel,
+      recommendation,
+      cwe: cweNumber ? `CWE-${cweNumber}` : null,
+      confidence: CONFIDENCE_FACTORS[confidence] ? confidence : 'certain',
+      weight: [override.weight, metadata.weight, builtIn.weight]
+        .find(weight => weight !== undefined) ?? DEFAULT_SEVERITY_WEIGHTS[severityKey(severityLabel)],
+      references: metadata.references || (cweNumber ? [cweReference(cweNumber)] : []),
+      ...(details && { details })
     });
   }
 
-  generateReport() {
-    const highSeverityCount = this.issues.filter(i => i.severity === this.severityLevels.HIGH).length;
-    const mediumSeverityCount = this.issues.filter(i => i.severity === this.severityLevels.MEDIUM).length;
-    const lowSeverityCount = this.issues.filter(i => i.severity === this.severityLevels.LOW).length;
+  loadBaseline() {
+    const { baseline } = this.options;
+    if (!baseline) return [];
+
+    const document = typeof baseline === 'string'
+      ? JSON.parse(fs.readFileSync(baseline, 'utf8'))
+      : baseline;
+    return document.suppressions || [];
+  }
+
+  isSuppressed(issue, suppressions, fingerprint) {
+    const now = Date.now();
+    return suppressions.some(suppression =>
+      suppression.ruleId === issue.ruleId &&
+      (!suppression.tokenFingerprint || suppression.tokenFingerprint === fingerprint) &&
+      (!suppression.expires || new Date(suppression.expires).getTime() > now)
+    );
+  }
+
+  /**
+   * Builds the scan report
+   * @param {string} [format] - Name of a registered formatter (sarif, junit, markdown...)
+   * @returns {object|string} Report object, or the formatted report when a format is given
+   */
+  generateReport(format) {
+    if (format) {
+      return formatReports([{ fingerprint: tokenFingerprint(this.token), report: this.generateReport() }], format);
+    }
+
+    // Accepted risks from the baseline stay visible but do not count
+    const fingerprint = typeof this.token === 'string' ? tokenFingerprint(this.token) : null;
+    const suppressions = this.loadBaseline();
+    const issues = this.issues.filter(issue => !this.isSuppressed(issue, suppressions, fingerprint));
+    const suppressedIssues = this.issues.filter(issue => !issues.includes(issue));
+
+    const highSeverityCount = issues.filter(i => i.severity === this.severityLevels.HIGH).length;
+    const mediumSeverityCount = issues.filter(i => i.severity === this.severityLevels.MEDIUM).length;
+    const lowSeverityCount = issues.filter(i => i.severity === this.severityLevels.LOW).length;
 
     return {
       scanDate: new Date().toISOString(),
+      profile: this.policy.name,
+      ...(fingerprint && { tokenFingerprint: fingerprint }),
       summary: {
-        totalIssues: this.issues.length,
+        totalIssues: issues.length,
         highSeverity: highSeverityCount,
         mediumSeverity: mediumSeverityCount,
         lowSeverity: lowSeverityCount,
+        suppressedIssues: suppressedIssues.length,
+        riskScore: calculateRiskScore(issues),
         overallRisk: this.calculateOverallRisk(highSeverityCount, mediumSeverityCount, lowSeverityCount)
       },
-      issues: this.issues,
-      recommendations: this.generateRecommendations()
+      issues,
+      ...(suppressedIssues.length > 0 && { suppressedIssues }),
+      ...(this.crackStats && { secretCracking: this.crackStats }),
+      ...(this.ruleErrors.length > 0 && { ruleErrors: this.ruleErrors }),
+      recommendations: this.generateRecommendations(issues)
     };
   }
 
@@ -202,19 +1875,953 @@ class JWTSecurityScanner {
     return 'SECURE';
   }
 
-  generateRecommendations() {
+  generateRecommendations(issues = this.issues) {
     const recommendations = new Set();
-    this.issues.forEach(issue => {
+    issues.forEach(issue => {
       recommendations.add(issue.recommendation);
     });
     return Array.from(recommendations);
   }
 }
 
-// Usage Example
-const scanner = new JWTSecurityScanner('your.jwt.token');
-scanner.scan()
-  .then(report => console.log(JSON.stringify(report, null, 2)))
-  .catch(error => console.error('Scan failed:', error));
+/**
+ * Registers a custom rule for every scanner instance
+ * @param {object} rule - { id, title, severity: 'HIGH'|'MEDIUM'|'LOW', recommendation, check }
+ * @example
+ * JWTSecurityScanner.registerRule({
+ *   id: 'org/tenant-claim',
+ *   title: 'Missing Tenant',
+ *   severity: 'HIGH',
+ *   recommendation: 'Issue tokens with a "tenant" claim',
+ *   check: async ({ payload }) => !payload.tenant && { description: 'Token has no "tenant" claim' }
+ * });
+ */
+JWTSecurityScanner.registerRule = (rule) => {
+  const normalized = normalizeRule(rule);
+  CUSTOM_RULES.set(normalized.id, normalized);
+  return normalized;
+};
+
+JWTSecurityScanner.unregisterRule = (id) => CUSTOM_RULES.delete(id);
+
+/**
+ * Loads rule modules from a directory
+ * Every .js file must export a rule or an array of rules.
+ * @param {string} dir - Directory containing rule modules
+ * @param {boolean} [register=true] - Register the rules globally
+ * @returns {object[]} Loaded rules
+ */
+JWTSecurityScanner.loadRules = (dir, register = true) => {
+  const path = require('path');
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .flatMap(file => {
+      const exported = require(path.resolve(dir, file));
+      return [].concat(exported).map(rule => {
+        try {
+          return register ? JWTSecurityScanner.registerRule(rule) : normalizeRule(rule);
+        } catch (error) {
+          throw new TypeError(`${file}: ${error.message}`);
+        }
+      });
+    });
+};
+
+/**
+ * Builds a baseline that suppresses every finding in the given reports
+ * @param {object[]} reports - Reports returned by scan()
+ * @param {string} [reason] - Why the findings are accepted
+ * @param {object} [existing] - Baseline to extend
+ * @returns {object} Baseline document for options.baseline
+ */
+JWTSecurityScanner.createBaseline = (reports, reason = 'Accepted risk', existing = { suppressions: [] }) => {
+  const suppressions = [...existing.suppressions];
+  const known = new Set(suppressions.map(({ ruleId, tokenFingerprint }) => `${ruleId}:${tokenFingerprint}`));
+
+  reports.forEach(report => {
+    report.issues.forEach(issue => {
+      const key = `${issue.ruleId}:${report.tokenFingerprint}`;
+      if (known.has(key)) return;
+      known.add(key);
+      suppressions.push({
+        ruleId: issue.ruleId,
+        tokenFingerprint: report.tokenFingerprint,
+        reason,
+        createdAt: new Date().toISOString()
+      });
+    });
+  });
+
+  return { version: 1, suppressions };
+};
+
+// Worker thread side of crackSecretWithWordlist
+if (!isMainThread && workerData?.task === 'crack-hmac-secret') {
+  const { digest, signingInput, mutations } = workerData;
+  const signature = Buffer.from(workerData.signature, 'base64');
+
+  parentPort.on('message', (words) => {
+    let tested = 0;
+    for (const word of words) {
+      for (const candidate of mutateCandidate(word, mutations)) {
+        tested++;
+        if (hmacMatches(digest, candidate, signingInput, signature)) {
+          parentPort.postMessage({ tested, secret: candidate });
+          return;
+        }
+      }
+    }
+    parentPort.postMessage({ tested, secret: null });
+  });
+}
+
+// Token extraction from HAR files, access logs and raw HTTP captures
+// Header and payload of a JWS always start with base64url('{"') = "eyJ"
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+const HTTP_START_LINE = /^(?:(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS|TRACE|CONNECT)\s+(\S+)\s+HTTP\/[\d.]+|HTTP\/[\d.]+\s+\d{3}.*)$/;
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64').toString());
+  } catch (error) {
+    return {};
+  }
+};
+
+class JWTTokenExtractor {
+  constructor() {
+    // token -> { token, locations: [] }
+    this.tokens = new Map();
+  }
+
+  addToken(token, location) {
+    if (!this.tokens.has(token)) {
+      this.tokens.set(token, { token, locations: [] });
+    }
+    // HAR files repeat cookies in the Cookie header and the cookies array
+    const { locations } = this.tokens.get(token);
+    const key = JSON.stringify(location);
+    if (!locations.some(existing => JSON.stringify(existing) === key)) {
+      locations.push(location);
+    }
+  }
+
+  extractFromText(text, location) {
+    for (const [token] of String(text).matchAll(JWT_PATTERN)) {
+      this.addToken(token, location);
+    }
+  }
+
+  extractFromHeader(name, value, location) {
+    const headerName = name.toLowerCase();
+
+    if (headerName === 'cookie' || headerName === 'set-cookie') {
+      // Set-Cookie carries attributes after the first pair, Cookie carries many pairs
+      const pairs = headerName === 'cookie' ? value.split(';') : [value.split(';')[0]];
+      pairs.forEach(pair => {
+        const separator = pair.indexOf('=');
+        if (separator === -1) return;
+        this.extractFromText(pair.slice(separator + 1), {
+          ...location,
+          kind: 'cookie',
+          name: pair.slice(0, separator).trim()
+        });
+      });
+      return;
+    }
+
+    this.extractFromText(value, {
+      ...location,
+      kind: headerName === 'authorization' ? 'authorization-header' : 'header',
+      name
+    });
+  }
+
+  extractFromUrl(url, location) {
+    let parsed;
+    try {
+      parsed = new URL(url, 'http://capture.invalid');
+    } catch (error) {
+      this.extractFromText(url, { ...location, kind: 'query' });
+      return;
+    }
+    parsed.searchParams.forEach((value, name) => {
+      this.extractFromText(value, { ...location, kind: 'query', name });
+    });
+    this.extractFromText(parsed.pathname, { ...location, kind: 'path' });
+  }
+
+  /**
+   * Extracts tokens from a HAR 1.2 document
+   * @param {object|string} har - Parsed HAR object or its JSON text
+   * @param {string} [uri] - File the HAR was read from
+   */
+  extractFromHar(har, uri) {
+    const { log } = typeof har === 'string' ? JSON.parse(har) : har;
+
+    (log?.entries || []).forEach((entry, index) => {
+      const base = { source: 'har', uri, entry: index, url: entry.request?.url };
+      const { request = {}, response = {} } = entry;
+
+      (request.headers || []).forEach(({ name, value }) => this.extractFromHeader(name, value, base));
+      (request.cookies || []).forEach(({ name, value }) => {
+        this.extractFromText(value, { ...base, kind: 'cookie', name });
+      });
+      if (request.url) this.extractFromUrl(request.url, base);
+      if (request.postData?.text) {
+        this.extractFromText(request.postData.text, { ...base, kind: 'body' });
+      }
+      (request.postData?.params || []).forEach(({ name, value = '' }) => {
+        this.extractFromText(value, { ...base, kind: 'body', name });
+      });
+
+      (response.headers || []).forEach(({ name, value }) => {
+        this.extractFromHeader(name, value, { ...base, direction: 'response' });
+      });
+      if (response.content?.text) {
+        const body = response.content.encoding === 'base64'
+          ? Buffer.from(response.content.text, 'base64').toString()
+          : response.content.text;
+        this.extractFromText(body, { ...base, direction: 'response', kind: 'body' });
+      }
+    });
+  }
+
+  /**
+   * Extracts tokens from access log lines (nginx/Apache combined format or similar)
+   * Where a token was found is inferred from the text right before it.
+   */
+  extractFromAccessLog(text, uri) {
+    String(text).split(/\r?\n/).forEach((line, index) => {
+      for (const match of line.matchAll(JWT_PATTERN)) {
+        const before = line.slice(Math.max(0, match.index - 200), match.index);
+        const location = { source: 'log', uri, line: index + 1 };
+
+        const queryParam = before.match(/[?&]([\w.-]+)=$/);
+        const cookie = before.match(/cookie[:=]?\s*"?(?:[^"]*;\s*)?([\w.-]+)=$/i);
+        if (/bearer\s+$/i.test(before)) {
+          location.kind = 'authorization-header';
+        } else if (queryParam) {
+          location.kind = 'query';
+          location.name = queryParam[1];
+        } else if (cookie) {
+          location.kind = 'cookie';
+          location.name = cookie[1];
+        } else {
+          location.kind = 'text';
+        }
+        this.addToken(match[0], location);
+      }
+    });
+  }
+
+  /**
+   * Extracts tokens from saved raw HTTP requests/responses
+   * Several messages may follow each other; each starts with a request or status line.
+   */
+  extractFromHttpCapture(text, uri) {
+    let state = 'start';
+    let base = null;
+
+    String(text).split(/\r?\n/).forEach((line, index) => {
+      const startLine = line.match(HTTP_START_LINE);
+      if (startLine) {
+        state = 'headers';
+        base = { source: 'http', uri, line: index + 1, ...(startLine[2] && { url: startLine[2] }) };
+        if (startLine[2]) this.extractFromUrl(startLine[2], base);
+        return;
+      }
+      if (!base) {
+        this.extractFromText(line, { source: 'http', uri, line: index + 1, kind: 'text' });
+        return;
+      }
+
+      if (state === 'headers') {
+        if (line.trim() === '') {
+          state = 'body';
+          return;
+        }
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+          this.extractFromHeader(line.slice(0, separator).trim(), line.slice(separator + 1).trim(), {
+            ...base,
+            line: index + 1
+          });
+        }
+        return;
+      }
+
+      this.extractFromText(line, { ...base, line: index + 1, kind: 'body' });
+    });
+  }
+
+  /**
+   * Detects the input type of a file and extracts its tokens
+   * @param {string} path - HAR, access log or HTTP capture file
+   */
+  extractFromFile(path) {
+    const text = fs.readFileSync(path, 'utf8');
+    const trimmed = text.trimStart();
+
+    if (trimmed.startsWith('{')) {
+      try {
+        const har = JSON.parse(text);
+        if (har.log?.entries) return this.extractFromHar(har, path);
+      } catch (error) {
+        // Not JSON, fall through to the line based extractors
+      }
+    }
+
+    const firstLine = trimmed.split(/\r?\n/, 1)[0];
+    if (HTTP_START_LINE.test(firstLine)) {
+      return this.extractFromHttpCapture(text, path);
+    }
+    return this.extractFromAccessLog(text, path);
+  }
+
+  getTokens() {
+    return [...this.tokens.values()];
+  }
+
+  /**
+   * Scans every extracted token and groups the results by issuer and algorithm
+   * @param {object} [options] - JWTSecurityScanner options used for each token
+   * @returns {Promise<object>} Aggregate report
+   */
+  async scanAll(options = {}) {
+    const groups = new Map();
+    const totals = { HIGH: 0, MEDIUM: 0, LOW: 0 };
+    let failed = 0;
+
+    // Sequential on purpose: wordlist attacks already use every core
+    for (const { token, locations } of this.getTokens()) {
+      const [encodedHeader, encodedPayload] = token.split('.');
+      const issuer = decodeSegment(encodedPayload).iss || '(none)';
+      const algorithm = decodeSegment(encodedHeader).alg || '(none)';
+      const key = `${issuer}\u0000${algorithm}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { issuer, algorithm, tokens: [], issueCounts: {} });
+      }
+      const group = groups.get(key);
+      const entry = { fingerprint: tokenFingerprint(token), locations };
+
+      try {
+        entry.report = await new JWTSecurityScanner(token, options).scan();
+        entry.report.issues.forEach(issue => {
+          totals[severityKey(issue.severity)]++;
+          group.issueCounts[issue.ruleId] = (group.issueCounts[issue.ruleId] || 0) + 1;
+        });
+      } catch (error) {
+        failed++;
+        entry.error = error.message;
+      }
+      group.tokens.push(entry);
+    }
+
+    return {
+      scanDate: new Date().toISOString(),
+      summary: {
+        tokens: this.tokens.size,
+        failed,
+        totalIssues: totals.HIGH + totals.MEDIUM + totals.LOW,
+        highSeverity: totals.HIGH,
+        mediumSeverity: totals.MEDIUM,
+        lowSeverity: totals.LOW,
+        overallRisk: JWTSecurityScanner.prototype.calculateOverallRisk(totals.HIGH, totals.MEDIUM, totals.LOW)
+      },
+      groups: [...groups.values()]
+    };
+  }
+}
+
+// Token forging toolkit for authorized verification testing
+// Only point testVariants at services you own or are authorized to test.
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+class JWTTokenForge {
+  constructor(token) {
+    const [encodedHeader, encodedPayload, encodedSignature = ''] = String(token).trim().split('.');
+    this.token = String(token).trim();
+    this.segments = { header: encodedHeader, payload: encodedPayload, signature: encodedSignature };
+    this.header = JSON.parse(Buffer.from(encodedHeader, 'base64').toString());
+    this.payload = JSON.parse(Buffer.from(encodedPayload, 'base64').toString());
+  }
+
+  /**
+   * Re-signs the token, optionally with changed claims, using a known or cracked secret
+   * @param {string} secret - HMAC secret
+   * @param {Object} [options] - { alg: 'HS256', claims: {} }
+   */
+  resign(secret, { alg = HMAC_ALGORITHMS[this.header.alg] ? this.header.alg : 'HS256', claims = {} } = {}) {
+    return signHmacToken({ ...this.header, alg }, { ...this.payload, ...claims }, secret);
+  }
+
+  // alg: none with every capitalization verifiers are known to mishandle
+  noneVariants() {
+    return ['none', 'None', 'NONE', 'nOnE'].flatMap(alg => {
+      const unsigned = `${base64UrlEncode(JSON.stringify({ ...this.header, alg }))}.${this.segments.payload}`;
+      return [
+        { id: `alg-${alg}-stripped`, description: `alg: "${alg}" with the signature removed`, token: `${unsigned}.` },
+        {
+          id: `alg-${alg}-kept`,
+          description: `alg: "${alg}" keeping the original signature`,
+          token: `${unsigned}.${this.segments.signature}`
+        }
+      ];
+    });
+  }
+
+  /**
+   * Claim tampering variants
+   * Without a secret the original signature is kept, which tests whether the
+   * verifier checks signatures at all.
+   * @param {Object} [options] - { secret, role: 'admin', sub: 'admin', roleClaim: 'role' }
+   */
+  tamperedVariants({ secret, role = 'admin', sub = 'admin', roleClaim = 'role' } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const changes = [
+      { id: 'tamper-exp', description: 'exp pushed one year ahead', claims: { exp: now + 365 * 24 * 60 * 60 } },
+      { id: 'tamper-role', description: `${roleClaim} set to "${role}"`, claims: { [roleClaim]: role } },
+      { id: 'tamper-sub', description: `sub set to "${sub}"`, claims: { sub } }
+    ];
+
+    return changes.map(({ id, description, claims }) => {
+      if (secret) {
+        return { id: `${id}-resigned`, description: `${description}, re-signed`, token: this.resign(secret, { claims }) };
+      }
+      const payload = base64UrlEncode(JSON.stringify({ ...this.payload, ...claims }));
+      return {
+        id: `${id}-unsigned`,
+        description: `${description}, original signature kept`,
+        token: `${this.segments.header}.${payload}.${this.segments.signature}`
+      };
+    });
+  }
+
+  keyConfusionVariants(publicKey) {
+    return forgeKeyConfusionTokens(this.header, this.segments.payload, publicKey)
+      .map(({ token }, index) => ({
+        id: `key-confusion-${index + 1}`,
+        description: 'HS256 signed with the public key text as HMAC secret',
+        token
+      }));
+  }
+
+  /**
+   * All variants that the given material allows
+   * @param {Object} [options] - { secret, publicKey, role, sub, roleClaim }
+   * @returns {{id: string, description: string, token: string}[]}
+   */
+  generateVariants(options = {}) {
+    const variants = [...this.noneVariants(), ...this.tamperedVariants({ ...options, secret: undefined })];
+    if (options.secret) {
+      variants.push(...this.tamperedVariants(options));
+    }
+    if (options.publicKey && ASYMMETRIC_ALGORITHMS.test(this.header.alg)) {
+      variants.push(...this.keyConfusionVariants(options.publicKey));
+    }
+    return variants;
+  }
+
+  /**
+   * Submits every variant to a local verifier and reports which were accepted
+   * @param {Object} target
+   * @param {Function} [target.verify] - (token) => truthy when accepted; throwing counts as rejected
+   * @param {string} [target.url] - Local HTTP endpoint receiving "Authorization: Bearer <token>"
+   * @param {string} [target.method='GET']
+   * @param {string[]} [target.allowedHosts] - Extra hosts besides localhost the URL may use
+   * @param {Function} [target.isAccepted] - (response) => boolean, defaults to a 2xx status
+   * @param {Object} [options] - Passed to generateVariants
+   */
+  async testVariants(target, options = {}) {
+    const { verify, url, method = 'GET', allowedHosts = [], timeoutMs = 5000 } = target;
+    const isAccepted = target.isAccepted || (response => response.status >= 200 && response.status < 300);
+
+    let submit;
+    if (typeof verify === 'function') {
+      submit = async (token) => {
+        try {
+          return { accepted: Boolean(await verify(token)) };
+        } catch (error) {
+          return { accepted: false, error: error.message };
+        }
+      };
+    } else if (url) {
+      const { hostname } = new URL(url);
+      if (!LOCAL_HOSTS.includes(hostname) && !allowedHosts.includes(hostname)) {
+        throw new Error(`Refusing to send forged tokens to ${hostname}; add it to allowedHosts if you are authorized to test it`);
+      }
+      submit = async (token) => {
+        try {
+          const response = await axios.request({
+            url,
+            method,
+            headers: { Authorization: `Bearer ${token}` },
+            timeout: timeoutMs,
+            validateStatus: () => true
+          });
+          return { accepted: isAccepted(response), status: response.status };
+        } catch (error) {
+          return { accepted: false, error: error.message };
+        }
+      };
+    } else {
+      throw new Error('testVariants needs a verify function or a url');
+    }
+
+    // The original token should pass, otherwise every rejection is meaningless
+    const baseline = await submit(this.token);
+    const results = [];
+    for (const variant of this.generateVariants(options)) {
+      results.push({ ...variant, ...(await submit(variant.token)) });
+    }
+
+    return {
+      testedAt: new Date().toISOString(),
+      baseline,
+      results,
+      accepted: results.filter(result => result.accepted).map(result => result.id)
+    };
+  }
+}
+
+// Report formatters
+// Each formatter receives a list of { fingerprint, report, error, location }
+// entries (one per scanned token) and returns the rendered document as a string.
+const tokenFingerprint = (token) => crypto.createHash('sha256').update(token).digest('hex').slice(0, 12);
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeMarkdown = (value) => String(value).replace(/([|\\`*_])/g, '\\$1').replace(/\r?\n/g, ' ');
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+const SARIF_LEVELS = { HIGH: 'error', MEDIUM: 'warning', LOW: 'note' };
+
+const collectRules = (entries) => {
+  const rules = new Map();
+  entries.filter(entry => entry.report).forEach(({ report }) => {
+    report.issues.forEach(issue => {
+      if (!rules.has(issue.ruleId)) rules.set(issue.ruleId, issue);
+    });
+  });
+  return [...rules.values()];
+};
+
+const formatText = (entries) => entries.map(({ fingerprint, report, error }, index) => {
+  if (error) return `Token ${index + 1} (${fingerprint}): scan failed - ${error}`;
+
+  const lines = [
+    `Token ${index + 1} (${fingerprint}): ${report.summary.overallRisk} (score ${report.summary.riskScore}/100), ` +
+      `${report.summary.totalIssues} issue(s)` +
+      (report.summary.suppressedIssues ? `, ${report.summary.suppressedIssues} suppressed` : '')
+  ];
+  report.issues.forEach(issue => {
+    lines.push(`  ${issue.severity}  ${issue.title}: ${issue.description}` +
+      (issue.cwe ? ` [${issue.cwe}${issue.confidence === 'heuristic' ? ', heuristic' : ''}]` : ''));
+    lines.push(`      -> ${issue.recommendation}`);
+  });
+  return lines.join('\n');
+}).join('\n\n');
+
+/**
+ * SARIF 2.1.0 log with one run and one result per issue
+ * partialFingerprints combine the rule id and token hash so dashboards can
+ * deduplicate the same finding across runs.
+ */
+const formatSarif = (entries) => {
+  const rules = collectRules(entries);
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.ruleId, index]));
+
+  const results = entries.filter(entry => entry.report).flatMap(({ fingerprint, report, location }) =>
+    report.issues.map(issue => ({
+      ruleId: issue.ruleId,
+      ruleIndex: ruleIndex.get(issue.ruleId),
+      level: SARIF_LEVELS[severityKey(issue.severity)] || 'warning',
+      message: { text: issue.description },
+      locations: [location
+        ? {
+          physicalLocation: {
+            artifactLocation: { uri: location.uri },
+            ...(location.line && { region: { startLine: location.line } })
+          }
+        }
+        : { logicalLocations: [{ name: `token:${fingerprint}`, kind: 'object' }] }],
+      partialFingerprints: {
+        'jwtFinding/v1': crypto.createHash('sha256').update(`${issue.ruleId}:${fingerprint}`).digest('hex')
+      },
+      properties: { tokenFingerprint: fingerprint, ...(issue.details && { details: issue.details }) }
+    }))
+  );
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'JWTSecurityScanner',
+          informationUri: 'https://github.com/mehdibafdil-dev/nodejs-examples-and-patterns',
+          rules: rules.map(issue => ({
+            id: issue.ruleId,
+            name: issue.title.replace(/[^A-Za-z0-9]/g, ''),
+            shortDescription: { text: issue.title },
+            help: { text: issue.recommendation },
+            ...(issue.references.length > 0 && { helpUri: issue.references[0] }),
+            defaultConfiguration: { level: SARIF_LEVELS[severityKey(issue.severity)] || 'warning' },
+            properties: {
+              // 0-10 scale read by code scanning dashboards
+              'security-severity': (issue.weight / 10).toFixed(1),
+              precision: issue.confidence === 'certain' ? 'high' : 'medium',
+              tags: ['security', ...(issue.cwe ? [`external/cwe/${issue.cwe.toLowerCase()}`] : [])]
+            }
+          }))
+        }
+      },
+      invocations: entries.filter(entry => entry.error).length > 0
+        ? [{
+          executionSuccessful: false,
+          toolExecutionNotifications: entries.filter(entry => entry.error).map(({ fingerprint, error }) => ({
+            level: 'error',
+            message: { text: `token:${fingerprint}: ${error}` }
+          }))
+        }]
+        : [{ executionSuccessful: true }],
+      results
+    }]
+  }, null, 2);
+};
+
+/**
+ * JUnit XML with one test suite per token and one failing test case per issue
+ * Issues below options.failOn are reported as passing cases with the finding in system-out.
+ */
+const formatJunit = (entries, { failOn = 'LOW' } = {}) => {
+  const suites = entries.map(({ fingerprint, report, error }) => {
+    if (error) {
+      return `  <testsuite name="token:${fingerprint}" tests="1" failures="0" errors="1">\n` +
+        `    <testcase classname="jwt/scan" name="scan">\n` +
+        `      <error message="${escapeXml(error)}"/>\n` +
+        '    </testcase>\n' +
+        '  </testsuite>';
+    }
+
+    const cases = report.issues.map(issue => {
+      const failing = SEVERITY_RANK[severityKey(issue.severity)] >= SEVERITY_RANK[failOn];
+      const body = `${issue.description}\n${issue.recommendation}`;
+      return `    <testcase classname="${escapeXml(issue.ruleId)}" name="${escapeXml(issue.title)}">\n` +
+        (failing
+          ? `      <failure type="${severityKey(issue.severity)}" message="${escapeXml(issue.description)}">${escapeXml(body)}</failure>\n`
+          : `      <system-out>${escapeXml(body)}</system-out>\n`) +
+        '    </testcase>';
+    });
+    if (cases.length === 0) {
+      cases.push('    <testcase classname="jwt/scan" name="no issues"/>');
+    }
+
+    const failures = report.issues
+      .filter(issue => SEVERITY_RANK[severityKey(issue.severity)] >= SEVERITY_RANK[failOn]).length;
+    return `  <testsuite name="token:${fingerprint}" tests="${cases.length}" failures="${failures}" errors="0" timestamp="${report.scanDate}">\n` +
+      `${cases.join('\n')}\n` +
+      '  </testsuite>';
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<testsuites name="JWTSecurityScanner">\n' +
+    `${suites.join('\n')}\n` +
+    '</testsuites>';
+};
+
+const formatMarkdown = (entries) => {
+  const sections = entries.map(({ fingerprint, report, error }) => {
+    if (error) return `## Token \`${fingerprint}\`\n\nScan failed: ${escapeMarkdown(error)}`;
+
+    const lines = [
+      `## Token \`${fingerprint}\` - ${report.summary.overallRisk} (score ${report.summary.riskScore}/100)`,
+      '',
+      `Profile: ${report.profile} | High: ${report.summary.highSeverity} | ` +
+        `Medium: ${report.summary.mediumSeverity} | Low: ${report.summary.lowSeverity} | ` +
+        `Suppressed: ${report.summary.suppressedIssues}`
+    ];
+    if (report.issues.length > 0) {
+      lines.push('', '| Severity | Rule | CWE | Issue | Recommendation |', '| --- | --- | --- | --- | --- |');
+      report.issues.forEach(issue => {
+        lines.push(`| ${issue.severity} | \`${issue.ruleId}\` | ${issue.cwe || '-'} | **${escapeMarkdown(issue.title)}**: ` +
+          `${escapeMarkdown(issue.description)} | ${escapeMarkdown(issue.recommendation)} |`);
+      });
+    }
+    return lines.join('\n');
+  });
+
+  return `# JWT Security Scan Report\n\n${sections.join('\n\n')}\n`;
+};
+
+const formatHtml = (entries) => {
+  const sections = entries.map(({ fingerprint, report, error }) => {
+    if (error) {
+      return `<section><h2>Token <code>${fingerprint}</code></h2><p class="error">Scan failed: ${escapeXml(error)}</p></section>`;
+    }
+
+    const rows = report.issues.map(issue => `<tr class="${severityKey(issue.severity).toLowerCase()}">` +
+      `<td>${escapeXml(issue.severity)}</td><td><code>${escapeXml(issue.ruleId)}</code></td>` +
+      `<td>${issue.cwe ? `<a href="${escapeXml(issue.references[0])}">${issue.cwe}</a>` : '-'}</td>` +
+      `<td><strong>${escapeXml(issue.title)}</strong><br>${escapeXml(issue.description)}</td>` +
+      `<td>${escapeXml(issue.recommendation)}</td></tr>`).join('\n');
+
+    return `<section><h2>Token <code>${fingerprint}</code> - ${escapeXml(report.summary.overallRisk)} ` +
+      `(score ${report.summary.riskScore}/100)</h2>\n` +
+      `<p>Profile: ${escapeXml(report.profile)} &middot; High: ${report.summary.highSeverity} &middot; ` +
+      `Medium: ${report.summary.mediumSeverity} &middot; Low: ${report.summary.lowSeverity} &middot; ` +
+      `Suppressed: ${report.summary.suppressedIssues}</p>\n` +
+      (rows
+        ? `<table>\n<tr><th>Severity</th><th>Rule</th><th>CWE</th><th>Issue</th><th>Recommendation</th></tr>\n${rows}\n</table>`
+        : '<p>No issues found.</p>') +
+      '</section>';
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>JWT Security Scan Report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ddd; padding: .5rem; text-align: left; vertical-align: top; }
+tr.high td:first-child { background: #fdd; }
+tr.medium td:first-child { background: #ffd; }
+tr.low td:first-child { background: #dfd; }
+.error { color: #b00; }
+</style>
+</head>
+<body>
+<h1>JWT Security Scan Report</h1>
+${sections.join('\n')}
+</body>
+</html>
+`;
+};
+
+const REPORT_FORMATTERS = {
+  json: (entries) => JSON.stringify(entries, null, 2),
+  text: formatText,
+  sarif: formatSarif,
+  junit: formatJunit,
+  markdown: formatMarkdown,
+  html: formatHtml
+};
+
+/**
+ * Renders scan results with a registered formatter
+ * @param {Array<{fingerprint: string, report?: object, error?: string, location?: object}>} entries
+ * @param {string} format - Formatter name
+ * @param {object} [options] - Formatter options (e.g. { failOn: 'MEDIUM' } for junit)
+ * @returns {string} Rendered report
+ */
+const formatReports = (entries, format, options = {}) => {
+  const formatter = Object.hasOwn(REPORT_FORMATTERS, format) ? REPORT_FORMATTERS[format] : null;
+  if (!formatter) throw new Error(`Unknown report format: ${format}`);
+  return formatter(entries, options);
+};
+
+JWTSecurityScanner.registerFormatter = (name, formatter) => {
+  REPORT_FORMATTERS[name] = formatter;
+};
+
+// Command-line interface
+const CLI_USAGE = `Usage: node jwt-security-scanner.js [options] [token...]
+
+Tokens are read from the arguments, from --file (one per line), from files
+given to --extract or from stdin.
+
+Options:
+  --file <path>          Read tokens from a file, one per line
+  --extract <path>       Extract tokens from a HAR file, access log or HTTP capture (repeatable)
+  --profile <name>       Claim policy profile: ${Object.keys(CLAIM_POLICY_PROFILES).join(', ')}
+  --format <format>      Output format: ${Object.keys(REPORT_FORMATTERS).join(', ')} (default: text)
+  --fail-on <severity>   Exit with 1 when an issue is at least high, medium or low (default: high)
+  --wordlist <path>      Wordlist used to crack HMAC secrets
+  --mutations <list>     Comma separated wordlist mutations: case, leet, digits
+  --public-key <path>    PEM or JWK file used by the key confusion check
+  --jwks <path|url>      JWKS used to verify RS/PS/ES/EdDSA signatures
+  --rules <dir>          Load custom rule modules from a directory
+  --baseline <path>      Suppress findings accepted in a baseline file
+  --write-baseline <path>  Write every current finding to a baseline file (merged if it exists)
+  --redact               Redact recovered secrets in the output
+  -h, --help             Show this help
+
+Exit codes: 0 no issue at the --fail-on level, 1 issues found, 2 usage or input error`;
+
+const readTokens = async (values, positionals) => {
+  let entries = positionals.map(token => ({ token }));
+
+  if (values.file) {
+    entries = entries.concat(fs.readFileSync(values.file, 'utf8').split(/\r?\n/)
+      .map((token, index) => ({ token, location: { uri: values.file, line: index + 1 } })));
+  }
+  if (values.extract.length > 0) {
+    const extractor = new JWTTokenExtractor();
+    values.extract.forEach(path => extractor.extractFromFile(path));
+    entries = entries.concat(extractor.getTokens().map(({ token, locations }) => ({
+      token,
+      location: { uri: locations[0].uri, line: locations[0].line }
+    })));
+  }
+  if (entries.length === 0 && !process.stdin.isTTY) {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    entries = Buffer.concat(chunks).toString('utf8').split(/\r?\n/).map(token => ({ token }));
+  }
+
+  // Keep the first occurrence of each token
+  const seen = new Set();
+  return entries
+    .map(entry => ({ ...entry, token: entry.token.trim() }))
+    .filter(({ token }) => token && !token.startsWith('#') && !seen.has(token) && seen.add(token));
+};
+
+/**
+ * Runs the scanner from the command line
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {Promise<number>} Process exit code
+ */
+const runCli = async (argv = process.argv.slice(2)) => {
+  const { parseArgs } = require('util');
+
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        file: { type: 'string' },
+        extract: { type: 'string', multiple: true, default: [] },
+        profile: { type: 'string', default: 'access' },
+        format: { type: 'string', default: 'text' },
+        'fail-on': { type: 'string', default: 'high' },
+        wordlist: { type: 'string' },
+        mutations: { type: 'string', default: '' },
+        'public-key': { type: 'string' },
+        jwks: { type: 'string' },
+        rules: { type: 'string' },
+        baseline: { type: 'string' },
+        'write-baseline': { type: 'string' },
+        redact: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${CLI_USAGE}`);
+    return 2;
+  }
+
+  if (values.help) {
+    console.log(CLI_USAGE);
+    return 0;
+  }
+
+  const failOn = values['fail-on'].toUpperCase();
+  if (!Object.hasOwn(SEVERITY_RANK, failOn) || !Object.hasOwn(REPORT_FORMATTERS, values.format)
+    || !Object.hasOwn(CLAIM_POLICY_PROFILES, values.profile)) {
+    console.error(`Invalid --fail-on, --format or --profile value\n\n${CLI_USAGE}`);
+    return 2;
+  }
+
+  let tokens;
+  let publicKey = null;
+  try {
+    tokens = await readTokens(values, positionals);
+    if (values.rules) JWTSecurityScanner.loadRules(values.rules);
+    if (values['public-key']) {
+      const keyText = fs.readFileSync(values['public-key'], 'utf8');
+      publicKey = keyText.trimStart().startsWith('{') ? JSON.parse(keyText) : keyText;
+    }
+  } catch (error) {
+    console.error(`Unable to read input: ${error.message}`);
+    return 2;
+  }
+
+  if (tokens.length === 0) {
+    console.error(`No tokens to scan\n\n${CLI_USAGE}`);
+    return 2;
+  }
+
+  const scanOptions = {
+    profile: values.profile,
+    wordlist: values.wordlist || null,
+    wordlistMutations: values.mutations.split(',').map(m => m.trim()).filter(Boolean),
+    publicKey,
+    jwks: values.jwks || null,
+    redactSecrets: values.redact,
+    baseline: values.baseline || null
+  };
+
+  // Scan sequentially so wordlist attacks do not compete for the worker pool
+  const results = [];
+  for (const { token, location } of tokens) {
+    const fingerprint = tokenFingerprint(token);
+    const scanner = new JWTSecurityScanner(token, scanOptions);
+    let showedProgress = false;
+    if (values.format === 'text' && process.stderr.isTTY) {
+      scanner.on('progress', ({ tested, candidatesPerSecond }) => {
+        showedProgress = true;
+        process.stderr.write(`\r${fingerprint}: ${tested} candidates tested (${candidatesPerSecond}/s)`);
+      });
+    }
+
+    try {
+      results.push({ fingerprint, report: await scanner.scan(), ...(location && { location }) });
+    } catch (error) {
+      results.push({ fingerprint, error: error.message, ...(location && { location }) });
+    }
+    if (showedProgress) process.stderr.write('\n');
+  }
+
+  console.log(formatReports(results, values.format, { failOn }));
+
+  if (values['write-baseline']) {
+    const target = values['write-baseline'];
+    try {
+      const existing = fs.existsSync(target) ? JSON.parse(fs.readFileSync(target, 'utf8')) : undefined;
+      const baseline = JWTSecurityScanner.createBaseline(
+        results.filter(result => result.report).map(result => result.report),
+        'Accepted risk',
+        existing
+      );
+      fs.writeFileSync(target, `${JSON.stringify(baseline, null, 2)}\n`);
+    } catch (error) {
+      console.error(`Unable to write baseline ${target}: ${error.message}`);
+      return 2;
+    }
+  }
+
+  if (results.some(result => result.error)) return 2;
+
+  const failed = results.some(({ report }) =>
+    report.issues.some(issue => SEVERITY_RANK[severityKey(issue.severity)] >= SEVERITY_RANK[failOn])
+  );
+  return failed ? 1 : 0;
+};
 
 module.exports = JWTSecurityScanner;
+module.exports.runCli = runCli;
+module.exports.formatReports = formatReports;
+module.exports.JWTTokenExtractor = JWTTokenExtractor;
+module.exports.JWTTokenForge = JWTTokenForge;
+
+if (require.main === module && isMainThread) {
+  runCli().then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    console.error(error);
+    process.exitCode = 2;
+  });
+}
@@ -0,0 +1,203 @@
+// Tests for jwt-security-scanner.js
+// Run with: node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const jwt = require('jsonwebtoken');
+const JWTSecurityScanner = require('./jwt-security-scanner');
+const { JWTTokenForge, formatReports } = JWTSecurityScanner;
+
+// Registered claims the default 'access' profile expects, so tests only see what they provoke
+const validClaims = () => ({ sub: 'user-1', iss: 'https://issuer.example', aud: 'api', jti: 'id-1' });
+const sign = (claims = validClaims(), secret = 'Xk2#pL9$mQ7!vR4@wT8^zN3&bH6*cJ5%') =>
+  jwt.sign(claims, secret, { expiresIn: '10m' });
+
+const { HIGH } = new JWTSecurityScanner('').severityLevels;
+const scan = (token, options = {}) => new JWTSecurityScanner(token, { checkCommonSecrets: false, ...options }).scan();
+
+// Runs the CLI in a child process; stdin is closed so it never waits for tokens
+const runCli = (args) => spawnSync(process.execPath, [path.join(__dirname, 'jwt-security-scanner.js'), ...args], {
+  input: '',
+  encoding: 'utf8',
+  timeout: 30000
+});
+
+// Temporary directory removed after the test
+const tempDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-scanner-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test('custom rule findings with an unknown severity are reported in ruleErrors', async () => {
+  const report = await scan(sign(), {
+    rules: [{
+      id: 'custom/critical',
+      severity: 'HIGH',
+      check: () => [{ description: 'bad severity', severity: 'CRITICAL' }, { description: 'inherited', severity: 'toString' }]
+    }],
+    ruleOverrides: { 'jwt/missing-exp': { severity: 'SEVERE' } }
+  });
+
+  const custom = report.issues.filter(issue => issue.ruleId === 'custom/critical');
+  assert.strictEqual(custom.length, 2);
+  custom.forEach(issue => {
+    assert.strictEqual(issue.severity, HIGH);
+    assert.strictEqual(typeof issue.weight, 'number');
+  });
+  assert.ok(Number.isFinite(report.summary.riskScore));
+  assert.ok(report.summary.highSeverity >= 2);
+  assert.deepStrictEqual(report.ruleErrors.map(error => error.ruleId).sort(),
+    ['custom/critical', 'custom/critical', 'jwt/missing-exp']);
+  assert.doesNotThrow(() => formatReports([{ fingerprint: 'x', report }], 'html'));
+});
+
+test('inherited object keys are not profiles or formats', () => {
+  assert.throws(() => new JWTSecurityScanner(sign(), { profile: 'toString' }), /Unknown policy profile/);
+  assert.throws(() => formatReports([], 'constructor'), /Unknown report format/);
+
+  for (const args of [['--format', 'toString'], ['--profile', 'toString'], ['--fail-on', 'constructor']]) {
+    const result = runCli([...args, sign()]);
+    assert.strictEqual(result.status, 2, args.join(' '));
+    assert.match(result.stderr, /Invalid --fail-on, --format or --profile value/);
+  }
+});
+
+test('the wordlist attack recovers the secret on worker threads', async (t) => {
+  const wordlist = path.join(tempDir(t), 'words.txt');
+  fs.writeFileSync(wordlist, [...Array.from({ length: 50 }, (_, i) => `word${i}`), 'hunter'].join('\n'));
+
+  const report = await scan(sign(validClaims(), 'Hunter7'), {
+    checkCommonSecrets: true,
+    wordlist,
+    wordlistMutations: ['case', 'digits'],
+    crackWorkers: 2,
+    crackBatchSize: 10
+  });
+  const weak = report.issues.find(issue => issue.title === 'Weak Secret Key');
+  assert.ok(weak);
+  assert.strictEqual(weak.details.secret, 'Hunter7');
+  assert.strictEqual(report.secretCracking.stopReason, 'found');
+});
+
+test('the wordlist attack stops when its signal is aborted', async (t) => {
+  const wordlist = path.join(tempDir(t), 'words.txt');
+  fs.writeFileSync(wordlist, Array.from({ length: 20000 }, (_, i) => `candidate-${i}`).join('\n'));
+
+  const controller = new AbortController();
+  const scanner = new JWTSecurityScanner(sign(), {
+    checkCommonSecrets: true,
+    wordlist,
+    crackWorkers: 1,
+    crackBatchSize: 100,
+    signal: controller.signal
+  });
+  scanner.once('progress', () => controller.abort());
+
+  const report = await scanner.scan();
+  assert.strictEqual(report.secretCracking.completed, false);
+  assert.strictEqual(report.secretCracking.stopReason, 'cancelled');
+  assert.ok(report.secretCracking.tested < 20000);
+  assert.ok(!report.issues.some(issue => issue.title === 'Weak Secret Key'));
+});
+
+test('an unreadable wordlist is reported as a skipped check', async (t) => {
+  const dir = tempDir(t);
+  for (const wordlist of [path.join(dir, 'missing.txt'), dir]) {
+    const report = await scan(sign(), { checkCommonSecrets: true, wordlist });
+    const skipped = report.issues.find(issue => issue.ruleId === 'jwt/wordlist-skipped');
+    assert.ok(skipped, wordlist);
+    assert.strictEqual(skipped.weight, 0);
+  }
+});
+
+const ruleIds = (report) => report.issues.map(issue => issue.ruleId);
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('validateStructure reports padding and keeps checking the decoded parts', async () => {
+  const [header, payload, signature] = sign().split('.');
+  const report = await scan(`${header}.${payload}=.${signature}`);
+  assert.deepStrictEqual(ruleIds(report), ['jwt/structure-base64-padding']);
+});
+
+test('validateStructure rejects tokens that are neither JWS nor JWE', async () => {
+  const [header, payload] = sign().split('.');
+  const report = await scan(`${header}.${payload}`);
+  assert.deepStrictEqual(ruleIds(report), ['jwt/structure-segment-count']);
+  assert.strictEqual(report.summary.overallRisk, 'HIGH RISK');
+});
+
+test('validateStructure reads the protected header of a five segment JWE', async () => {
+  const header = base64url({ alg: 'RSA1_5', enc: 'A128GCM' });
+  const report = await scan(`${header}.${['a', 'b', 'c', 'd'].map(base64url).join('.')}`);
+  assert.deepStrictEqual(ruleIds(report).sort(), ['jwt/jwe', 'jwt/jwe-weak-key-management']);
+});
+
+test('JWKS verification selects keys by kid and checks the signature', async () => {
+  const keyPair = () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const trusted = keyPair();
+  const jwks = { keys: [{ ...trusted.publicKey.export({ format: 'jwk' }), kid: 'k1', alg: 'RS256', use: 'sig' }] };
+  const signRs256 = (privateKey, keyid) => jwt.sign(validClaims(), privateKey, { algorithm: 'RS256', keyid, expiresIn: '10m' });
+
+  assert.deepStrictEqual(ruleIds(await scan(signRs256(trusted.privateKey, 'k1'), { jwks })), []);
+  assert.deepStrictEqual(ruleIds(await scan(signRs256(keyPair().privateKey, 'k1'), { jwks })), ['jwt/jwks-invalid-signature']);
+  assert.deepStrictEqual(ruleIds(await scan(signRs256(trusted.privateKey, 'k2'), { jwks })), ['jwt/jwks-unknown-kid']);
+});
+
+test('formatters render every report format', async () => {
+  const entries = [{ fingerprint: 'abc', report: await scan(sign(validClaims(), 'secret'), { checkCommonSecrets: true }) }, { fingerprint: 'def', error: 'boom' }];
+
+  const sarif = JSON.parse(formatReports(entries, 'sarif'));
+  assert.strictEqual(sarif.version, '2.1.0');
+  assert.ok(sarif.runs[0].results.length > 0);
+  assert.match(formatReports(entries, 'junit'), /^<\?xml[\s\S]*<testsuite/);
+  assert.match(formatReports(entries, 'html'), /<html/i);
+  assert.ok(formatReports(entries, 'markdown').length > 0);
+  assert.deepStrictEqual(JSON.parse(formatReports(entries, 'json')), entries);
+});
+
+test('a baseline suppresses accepted findings', async () => {
+  const [header, payload, signature] = sign().split('.');
+  const token = `${header}.${payload}=.${signature}`;
+  const baseline = JWTSecurityScanner.createBaseline([await scan(token)], 'Known issuer quirk');
+  assert.strictEqual(baseline.suppressions.length, 1);
+
+  const report = await scan(token, { baseline });
+  assert.strictEqual(report.summary.totalIssues, 0);
+  assert.strictEqual(report.summary.suppressedIssues, 1);
+});
+
+test('JWTTokenForge builds alg none and tampered variants', async () => {
+  const forge = new JWTTokenForge(sign());
+  const variants = forge.generateVariants({ secret: 'Xk2#pL9$mQ7!vR4@wT8^zN3&bH6*cJ5%' });
+
+  const none = variants.find(variant => variant.id === 'alg-none-stripped');
+  assert.strictEqual(jwt.decode(none.token, { complete: true }).header.alg, 'none');
+  assert.ok(ruleIds(await scan(none.token)).includes('jwt/alg-none'));
+
+  const resigned = variants.find(variant => variant.id === 'tamper-role-resigned');
+  assert.strictEqual(jwt.verify(resigned.token, 'Xk2#pL9$mQ7!vR4@wT8^zN3&bH6*cJ5%').role, 'admin');
+});
+
+test('the CLI exit code follows the findings and input errors', (t) => {
+  const clean = sign();
+  const unsigned = new JWTTokenForge(clean).noneVariants()[0].token;
+
+  assert.strictEqual(runCli(['--format', 'json', clean]).status, 0);
+  assert.strictEqual(runCli(['--format', 'json', unsigned]).status, 1);
+  assert.strictEqual(runCli(['--fail-on', 'low', '--format', 'json', clean]).status, 0);
+  assert.strictEqual(runCli([]).status, 2);
+  assert.strictEqual(runCli(['--unknown-option', clean]).status, 2);
+  assert.strictEqual(runCli(['--help']).status, 0);
+
+  const baseline = path.join(tempDir(t), 'baseline.json');
+  fs.writeFileSync(baseline, '{ not json');
+  const broken = runCli(['--write-baseline', baseline, unsigned]);
+  assert.strictEqual(broken.status, 2);
+  assert.match(broken.stderr, /Unable to write baseline/);
+});